@@ -0,0 +1,105 @@
+export interface CreateAlithAppOptions {
+  /** Package name, defaults to the directory's name */
+  name?: string;
+  /** Directory to create the project in, defaults to the name */
+  dir?: string;
+  /** Defaults to "default", see getTemplateNames() */
+  template?: string;
+  /** Defaults to "groq", see getProviderNames() */
+  provider?: string;
+  /** Written to .env; the provider's environment variable is not read */
+  apiKey?: string;
+  /** Name the assistant introduces itself with, defaults to "Alith" */
+  assistantName?: string;
+  /** System prompt, defaults to one introducing the assistant by name */
+  persona?: string;
+  /** Language of the React frontend of the default and rag templates, defaults to "typescript" there */
+  language?: 'typescript' | 'javascript';
+  /** Write the Express server in TypeScript, sharing the API types with the frontend. Needs language "typescript". */
+  typescriptServer?: boolean;
+  /** Title of the page and the chat header, for the default and rag templates. Defaults to the assistant name. */
+  title?: string;
+  /** Hex color of the chat's header, buttons and the user's messages, defaults to "#1f2937" */
+  brandColor?: string;
+  /** How the chat looks until the user switches with its toggle, defaults to "system" */
+  colorMode?: 'light' | 'dark' | 'system';
+  /** Replace the Vite starter page in App with a plain one */
+  clean?: boolean;
+  /** Add the example agent tools */
+  tools?: boolean;
+  /** Add a Dockerfile, .dockerignore and docker-compose.yml */
+  docker?: boolean;
+  /** For installing and the generated scripts, defaults to "npm" */
+  packageManager?: 'npm' | 'pnpm' | 'yarn' | 'bun';
+  /** Install the dependencies, defaults to false */
+  install?: boolean;
+  /** Install only from the package cache */
+  offline?: boolean;
+  /** Use cached packages when available, the network otherwise */
+  preferOffline?: boolean;
+  /** Package cache to install from and save to */
+  cacheDir?: string;
+  /** npm registry to install from */
+  registry?: string;
+  /** Allow a directory that already holds other files */
+  force?: boolean;
+  /** With force, the existing files to replace, or true for all of them */
+  overwrite?: string[] | boolean;
+  /** Cancels the run and removes what it created */
+  signal?: AbortSignal;
+  /** Called as each step starts and ends, e.g. to drive a spinner */
+  onProgress?: (event: { type: 'start' | 'succeed' | 'fail' | 'stop'; message?: string }) => void;
+}
+
+export interface CreateAlithAppResult {
+  projectPath: string;
+  projectName: string;
+  template: string;
+  /** Language of the React frontend, null for templates without the choice */
+  language: 'typescript' | 'javascript' | null;
+  provider: string;
+  packageManager: string;
+  /** Whether .env was written with the API key. False when an existing .env was kept. */
+  envWritten: boolean;
+  installed: boolean;
+  /** Why the install failed, when it was requested and did. The project is kept. */
+  installFailure: {
+    code: string | null;
+    output: string;
+    logPath: string | null;
+    /** For offline installs, the packages missing from the cache */
+    missing: string[] | null;
+  } | null;
+  /** Existing files left in place when creating into a non-empty directory */
+  kept: string[];
+  /** Template dependencies a kept package.json doesn't declare */
+  missingDependencies: string[];
+  /** The project's scripts, as run with its package manager */
+  commands: { script: string; command: string; description: string }[];
+}
+
+export function createAlithApp(options: CreateAlithAppOptions): Promise<CreateAlithAppResult>;
+export function getTemplateNames(): string[];
+export function getProviderNames(): string[];
+export function getPackageManagerNames(): string[];
+
+export class CreateAlithAppError extends Error {
+  code: 'INVALID_OPTION' | 'DIRECTORY_CONFLICT' | 'CREATE_FAILED' | 'CANCELLED';
+}
+export class InvalidOptionError extends CreateAlithAppError {
+  code: 'INVALID_OPTION';
+  /** The option that was rejected */
+  option: string;
+}
+export class DirectoryConflictError extends CreateAlithAppError {
+  code: 'DIRECTORY_CONFLICT';
+  /** Entries in the directory that could clash with the project */
+  entries: string[];
+}
+export class ProjectCreationError extends CreateAlithAppError {
+  code: 'CREATE_FAILED';
+  cause: unknown;
+}
+export class CancelledError extends CreateAlithAppError {
+  code: 'CANCELLED';
+}
@@ -1 +1,19 @@
-module.exports = require('./bin/create-alith-app.js');
+// Programmatic API, for creating Alith apps from other tools. bin/create-alith-app.js
+// is a wrapper around it that asks for whatever the flags leave out.
+const { createAlithApp } = require('./lib/create');
+const { CreateAlithAppError, InvalidOptionError, DirectoryConflictError, ProjectCreationError, CancelledError } = require('./lib/errors');
+const { getTemplateNames } = require('./lib/templates');
+const { getProviderNames } = require('./lib/providers');
+const { getPackageManagerNames } = require('./lib/package-manager');
+
+module.exports = {
+  createAlithApp,
+  getTemplateNames,
+  getProviderNames,
+  getPackageManagerNames,
+  CreateAlithAppError,
+  InvalidOptionError,
+  DirectoryConflictError,
+  ProjectCreationError,
+  CancelledError
+};
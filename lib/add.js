@@ -0,0 +1,255 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { ALITH_VERSION, LANGUAGES, renderTemplateFile } = require('./templates');
+
+// Dependencies each kind of integration needs, added only when missing
+const SERVER_DEPENDENCIES = {
+  alith: ALITH_VERSION,
+  express: '^4.21.1',
+  cors: '^2.8.5',
+  dotenv: '^16.4.7'
+};
+
+// What the React chat component needs to render Markdown replies
+const CHAT_COMPONENT_DEPENDENCIES = {
+  'highlight.js': '^11.11.1',
+  'react-markdown': '^10.1.0',
+  'rehype-highlight': '^7.0.2',
+  'remark-gfm': '^4.0.1'
+};
+
+// .gitignore lines that keep .env out of the repository
+const ENV_IGNORE_LINES = ['.env', '/.env', '.env*', '/.env*', '*.env'];
+
+// Never overwrite what is already there
+function splitExisting(projectPath, files) {
+  const skipped = files.filter(file => fs.existsSync(path.join(projectPath, file.path))).map(file => file.path);
+  const created = files.filter(file => !skipped.includes(file.path));
+  return { created, skipped };
+}
+
+// Works out what adding Alith chat to an existing project would change, without
+// touching the disk. Existing files are never overwritten, only reported as skipped.
+async function planChatIntegration(projectPath, project, { variables, apiKey }) {
+  const files = [];
+  const notes = [];
+  const dependencies = {};
+  const scripts = {};
+
+  // Template files import alith.config.json and shared/chat relative to where the template
+  // keeps them, so the paths are recomputed for where they land in this project. Targets
+  // are normalized, as projects without src/ put the components in ./components.
+  const addFile = async (file, source) => {
+    const target = path.posix.normalize(file);
+    const content = (await renderTemplateFile(source, variables))
+      .replace(/(['"])(?:\.\.?\/)+(alith\.config\.json|shared\/chat)\1/g, (match, quote, file) =>
+        `${quote}${path.posix.relative(path.posix.dirname(target), file).replace(/^(?!\.)/, './')}${quote}`);
+    files.push({ path: target, content });
+  };
+
+  // The React chat component and the components it imports, in the project's language
+  const addChatComponent = async (componentsDir) => {
+    const { layer, extension } = LANGUAGES[project.typescript ? 'typescript' : 'javascript'];
+    for (const component of ['ChatInterface', 'Markdown', 'CopyButton']) {
+      await addFile(`${componentsDir}/${component}.${extension}`, `${layer}/src/components/${component}.${extension}`);
+    }
+    // The API types and checks the TypeScript component imports
+    if (project.typescript) {
+      await addFile('shared/chat.ts', '_typescript/shared/chat.ts');
+    }
+    // The color variables of its light and dark modes
+    const themeFile = `${path.posix.dirname(componentsDir)}/alith-theme.css`;
+    await addFile(themeFile, 'default/src/theme.css');
+    Object.assign(dependencies, CHAT_COMPONENT_DEPENDENCIES);
+    notes.push(`The chat component is styled with Tailwind CSS and the color variables in ${themeFile}. Import that file in your main stylesheet and map the colors in your Tailwind config, e.g. brand: 'var(--alith-brand)' (see tailwind.config.js in a new create-alith-app project).`);
+  };
+
+  // The chat routes and the modules they import, as .mjs so they load in CommonJS projects too
+  const addChatRoutes = async () => {
+    const chatRoutes = await renderTemplateFile('_server-javascript/routes/chat.js', variables);
+    files.push({
+      path: 'routes/alith-chat.mjs',
+      content: chatRoutes
+        .replace("'./mock.js'", "'./alith-mock.mjs'")
+        .replace("'./retrieval.js'", "'./alith-retrieval.mjs'")
+        .replace("'./security.js'", "'./alith-security.mjs'")
+        .replace("'../tools/index.js'", "'../tools/index.mjs'")
+    });
+    await addFile('routes/alith-mock.mjs', '_server/routes/mock.js');
+    await addFile('routes/alith-retrieval.mjs', '_server/routes/retrieval.js');
+    await addFile('routes/alith-security.mjs', '_server-javascript/routes/security.js');
+    await addFile('tools/index.mjs', '_server/tools/index.js');
+  };
+
+  switch (project.framework) {
+    case 'nextjs': {
+      const componentsDir = project.appDir === 'src/app' ? 'src/components' : 'components';
+      await addFile(`${project.appDir}/api/chat/route.ts`, 'nextjs/app/api/chat/route.ts');
+      await addFile(`${componentsDir}/ChatInterface.tsx`, 'nextjs/components/ChatInterface.tsx');
+      dependencies.alith = ALITH_VERSION;
+      notes.push(`Render <ChatInterface isOpen={...} onClose={...} /> from ${componentsDir}/ChatInterface in a client component.`);
+      notes.push('Add serverExternalPackages: [\'alith\'] to your next.config so the native binding stays out of the bundle.');
+      break;
+    }
+    case 'react': {
+      await addChatComponent(`${project.srcDir}/components`);
+      await addChatRoutes();
+      await addFile('alith-server.mjs', '_add/alith-server.mjs');
+      Object.assign(dependencies, SERVER_DEPENDENCIES);
+      scripts['alith-server'] = 'node alith-server.mjs';
+      notes.push(`Render <ChatInterface isOpen={...} onClose={...} /> from ${project.srcDir}/components/ChatInterface.`);
+      notes.push('Run the Alith backend next to your dev server with the "alith-server" script.');
+      notes.push('The component calls relative /api URLs, so proxy them to the backend in vite.config: server: { proxy: { \'/api\': \'http://localhost:3001\' } }.');
+      break;
+    }
+    case 'react-express':
+    case 'express': {
+      if (project.framework === 'react-express') {
+        await addChatComponent(`${project.srcDir}/components`);
+        notes.push(`Render <ChatInterface isOpen={...} onClose={...} /> from ${project.srcDir}/components/ChatInterface. It calls relative /api URLs, so proxy them to your server in development (or set VITE_API_URL).`);
+      }
+      await addChatRoutes();
+      dependencies.alith = ALITH_VERSION;
+      notes.push(project.moduleType === 'module'
+        ? 'Mount the chat routes in your server: import alithChat from \'./routes/alith-chat.mjs\'; app.use(alithChat);'
+        : 'Mount the chat routes in your server: import(\'./routes/alith-chat.mjs\').then(({ default: alithChat }) => app.use(alithChat));');
+      if (!project.packageJson.dependencies?.dotenv) {
+        notes.push(`Make sure ${variables.apiKeyEnv} is set in the server's environment (e.g. with dotenv).`);
+      }
+      break;
+    }
+    default:
+      throw new Error('Could not detect a supported framework (Vite/React, Express or Next.js) in package.json');
+  }
+
+  // Assistant name, persona, model, greeting and starter prompts, read by the routes and the component
+  await addFile('alith.config.json', '_base/alith.config.json');
+  if (project.typescript && files.some(file => file.path.endsWith('.tsx'))) {
+    notes.push('The chat component imports alith.config.json, which needs "resolveJsonModule": true in tsconfig.json.');
+  }
+
+  if (!project.typescript && files.some(file => /\.tsx?$/.test(file.path))) {
+    notes.push('The added components are TypeScript; your bundler compiles them, but you may want to convert them to .jsx.');
+  }
+
+  const { created, skipped } = splitExisting(projectPath, files);
+
+  // package.json, keeping the project's own formatting
+  const packageJson = JSON.parse(project.packageJsonText);
+  const installed = { ...packageJson.dependencies, ...packageJson.devDependencies };
+  const missingDependencies = Object.entries(dependencies).filter(([name]) => !installed[name]);
+  const missingScripts = Object.entries(scripts).filter(([name]) => !packageJson.scripts?.[name]);
+
+  if (missingDependencies.length > 0) {
+    packageJson.dependencies = { ...packageJson.dependencies, ...Object.fromEntries(missingDependencies) };
+  }
+  if (missingScripts.length > 0) {
+    packageJson.scripts = { ...packageJson.scripts, ...Object.fromEntries(missingScripts) };
+  }
+
+  const indent = project.packageJsonText.match(/^([ \t]+)"/m)?.[1] || 2;
+  const packageJsonChanged = missingDependencies.length > 0 || missingScripts.length > 0;
+
+  // Append the API key to .env unless it is already defined there
+  let env = null;
+  const envPath = path.join(projectPath, '.env');
+  const envText = fs.existsSync(envPath) ? await fs.readFile(envPath, 'utf8') : null;
+  if (apiKey && !new RegExp(`^${variables.apiKeyEnv}=`, 'm').test(envText || '')) {
+    env = { exists: envText !== null, name: variables.apiKeyEnv, value: apiKey, before: envText || '' };
+  }
+
+  // The key must not end up in the repository, so .env is added to .gitignore unless it is ignored already
+  let gitignore = null;
+  if (env) {
+    const gitignorePath = path.join(projectPath, '.gitignore');
+    const gitignoreText = fs.existsSync(gitignorePath) ? await fs.readFile(gitignorePath, 'utf8') : null;
+    if (!(gitignoreText || '').split(/\r?\n/).some(line => ENV_IGNORE_LINES.includes(line.trim()))) {
+      gitignore = { exists: gitignoreText !== null, entry: '.env', before: gitignoreText || '' };
+    }
+  }
+
+  return {
+    created,
+    skipped,
+    packageJson: packageJsonChanged
+      ? { before: project.packageJsonText, after: `${JSON.stringify(packageJson, null, indent)}\n` }
+      : null,
+    addedDependencies: missingDependencies.map(([name]) => name),
+    env,
+    gitignore,
+    notes
+  };
+}
+
+// The same container setup as `--docker`, for a project whose server.js serves the app. A
+// server.ts (the TypeScript server) is run as compiled to build/ by the build script.
+async function planDockerIntegration(projectPath) {
+  const serverFile = ['server.js', 'server.ts'].find(file => fs.existsSync(path.join(projectPath, file)));
+  if (!serverFile) {
+    throw new Error('No server.js found. The Docker image runs node server.js, like projects created with the default, rag, minimal-api or vanilla-js template.');
+  }
+
+  const variables = { serverEntry: serverFile === 'server.ts' ? 'build/server.js' : 'server.js' };
+  const files = [];
+  for (const [target, source] of [['Dockerfile', 'Dockerfile'], ['.dockerignore', '_dockerignore'], ['docker-compose.yml', 'docker-compose.yml']]) {
+    files.push({ path: target, content: await renderTemplateFile(`_docker/${source}`, variables) });
+  }
+
+  const notes = [];
+  if (!(await fs.readFile(path.join(projectPath, serverFile), 'utf8')).includes('/health')) {
+    notes.push(`The docker-compose.yml healthcheck calls GET /health, so add that route to ${serverFile} or remove the healthcheck.`);
+  }
+  notes.push('Build and start the container with docker compose up --build. It reads .env, so create one first.');
+
+  return {
+    ...splitExisting(projectPath, files),
+    packageJson: null,
+    addedDependencies: [],
+    env: null,
+    gitignore: null,
+    notes
+  };
+}
+
+async function applyPlan(projectPath, plan) {
+  for (const file of plan.created) {
+    const fullPath = path.join(projectPath, file.path);
+    await fs.ensureDir(path.dirname(fullPath));
+    await fs.writeFile(fullPath, file.content);
+  }
+
+  if (plan.packageJson) {
+    await fs.writeFile(path.join(projectPath, 'package.json'), plan.packageJson.after);
+  }
+
+  if (plan.env) {
+    const separator = plan.env.before && !plan.env.before.endsWith('\n') ? '\n' : '';
+    await fs.appendFile(path.join(projectPath, '.env'), `${separator}${plan.env.name}=${plan.env.value}\n`);
+  }
+
+  if (plan.gitignore) {
+    const separator = plan.gitignore.before && !plan.gitignore.before.endsWith('\n') ? '\n' : '';
+    await fs.appendFile(path.join(projectPath, '.gitignore'), `${separator}${plan.gitignore.entry}\n`);
+  }
+}
+
+// Features the `add` command knows how to add to an existing project
+const features = {
+  chat: {
+    description: 'Alith chat component, /api/chat route and dependencies',
+    usesProvider: true,
+    plan: planChatIntegration
+  },
+  docker: {
+    description: 'Dockerfile, .dockerignore and docker-compose.yml for running server.js in a container',
+    usesProvider: false,
+    plan: planDockerIntegration
+  }
+};
+
+module.exports = {
+  features,
+  planChatIntegration,
+  planDockerIntegration,
+  applyPlan
+};
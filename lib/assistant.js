@@ -0,0 +1,26 @@
+// The assistant's name and persona, written to alith.config.json in generated
+// projects, where both the agent and the chat UI read them
+const DEFAULT_ASSISTANT_NAME = 'Alith';
+
+function getDefaultPersona(name) {
+  return `You are ${name}, a friendly and helpful AI assistant. Answer clearly and concisely.`;
+}
+
+// The placeholders sit inside JSON strings, so quotes, backslashes and newlines are escaped
+const toJsonString = value => JSON.stringify(String(value)).slice(1, -1);
+
+// Placeholders substituted into alith.config.json
+function getAssistantVariables({ name = DEFAULT_ASSISTANT_NAME, persona } = {}) {
+  return {
+    assistantName: toJsonString(name),
+    preamble: toJsonString(persona || getDefaultPersona(name)),
+    greeting: toJsonString(`Hello! I'm ${name}. How can I help you today?`)
+  };
+}
+
+module.exports = {
+  DEFAULT_ASSISTANT_NAME,
+  getDefaultPersona,
+  getAssistantVariables,
+  toJsonString
+};
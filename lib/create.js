@@ -0,0 +1,550 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const validateProjectName = require('validate-npm-package-name');
+const { EXTRA_LAYERS, LANGUAGES, getTemplate, getTemplateNames, getLanguageNames, copyTemplate, listTemplateFiles } = require('./templates');
+const { getProvider, getProviderNames, getProviderVariables } = require('./providers');
+const { DEFAULT_ASSISTANT_NAME, getDefaultPersona, getAssistantVariables } = require('./assistant');
+const { COLOR_MODES, isHexColor, getThemeVariables } = require('./theme');
+const { packageManagers, getPackageManagerNames, runScript, getPackageManagerVariables } = require('./package-manager');
+const { createRollback } = require('./rollback');
+const { getUnsafeEntries, toPackageName, mergeInto } = require('./directory');
+const { NPM_STRATEGIES, runInstall, prepareStrategy, findUncachedDependencies, getUncachedPackage } = require('./install');
+const { InvalidOptionError, DirectoryConflictError, ProjectCreationError, CancelledError } = require('./errors');
+
+const DEFAULT_PROJECT_NAME = 'my-alith-app';
+const DEFAULT_TEMPLATE = 'default';
+const DEFAULT_PROVIDER = 'groq';
+const DEFAULT_PACKAGE_MANAGER = 'npm';
+
+// Files of the Vite starter page, which the clean option removes along with the demo in App
+const STARTER_PAGE_FILES = ['src/App.css', 'src/assets'];
+
+// The TypeScript server runs with tsx in development. The build compiles it, along with the
+// JavaScript modules it imports (tools, retrieval), to build/, which start and the Docker image run.
+const TYPESCRIPT_SERVER = {
+  entry: 'build/server.js',
+  scripts: ({ build }) => ({
+    server: 'tsx watch server.ts',
+    build: `tsc -p tsconfig.server.json && ${build}`,
+    start: 'node build/server.js'
+  }),
+  devDependencies: {
+    '@types/cors': '^2.8.17',
+    '@types/express': '^4.17.21',
+    '@types/node': '^22.10.1',
+    tsx: '^4.19.2'
+  }
+};
+
+// The Express server is what implements mock responses, agent tools and the Docker setup
+function hasServer(templateName) {
+  return getTemplate(templateName).layers.includes('_server');
+}
+
+function getServerTemplateNames() {
+  return getTemplateNames().filter(hasServer);
+}
+
+// The default and rag frontends come in TypeScript and JavaScript
+function hasLanguages(templateName) {
+  return Boolean(getTemplate(templateName).languages);
+}
+
+function getLanguageTemplateNames() {
+  return getTemplateNames().filter(hasLanguages);
+}
+
+// Existing directories (e.g. a cloned repository) get a package name derived from their name
+function getPackageName(projectPath) {
+  const name = path.basename(projectPath);
+  return fs.existsSync(projectPath) ? toPackageName(name) : name;
+}
+
+function validatePackageName(name) {
+  const validation = validateProjectName(name);
+  if (!validation.validForNewPackages) {
+    const problems = [...(validation.errors || []), ...(validation.warnings || [])];
+    throw new InvalidOptionError(`Cannot create a project named "${name}" because of npm naming restrictions: ${problems.join('; ')}.`, { option: 'name', problems });
+  }
+}
+
+function validateTemplate(templateName) {
+  if (!getTemplate(templateName)) {
+    throw new InvalidOptionError(`Unknown template "${templateName}". Available templates: ${getTemplateNames().join(', ')}.`, { option: 'template' });
+  }
+}
+
+function validateProvider(providerName) {
+  if (!getProvider(providerName)) {
+    throw new InvalidOptionError(`Unknown provider "${providerName}". Available providers: ${getProviderNames().join(', ')}.`, { option: 'provider' });
+  }
+}
+
+function validatePackageManager(packageManager) {
+  if (!packageManagers[packageManager]) {
+    throw new InvalidOptionError(`Unknown package manager "${packageManager}". Available package managers: ${getPackageManagerNames().join(', ')}.`, { option: 'packageManager' });
+  }
+}
+
+function validateLanguage(templateName, language) {
+  if (language === undefined) {
+    return;
+  }
+  if (!LANGUAGES[language]) {
+    throw new InvalidOptionError(`Unknown language "${language}". Available languages: ${getLanguageNames().join(', ')}.`, { option: 'language' });
+  }
+  if (!hasLanguages(templateName)) {
+    throw new InvalidOptionError(`The ${templateName} template doesn't come in a choice of languages. Use language with ${getLanguageTemplateNames().join(', ')}.`, { option: 'language' });
+  }
+}
+
+// Title, brand color, color mode and clean style the React frontend of the default and rag templates
+function validateThemeOptions(templateName, options) {
+  const { title, brandColor, colorMode } = options;
+  if (!hasLanguages(templateName)) {
+    const option = ['title', 'brandColor', 'colorMode', 'clean'].find(name => options[name] !== undefined && options[name] !== false);
+    if (option) {
+      throw new InvalidOptionError(`The ${option} option styles the React frontend, which the ${templateName} template doesn't have. Use it with ${getLanguageTemplateNames().join(' or ')}.`, { option });
+    }
+    return;
+  }
+  if (title !== undefined && !title.trim()) {
+    throw new InvalidOptionError('The title can\'t be empty.', { option: 'title' });
+  }
+  if (brandColor !== undefined && !isHexColor(brandColor)) {
+    throw new InvalidOptionError(`The brand color must be a hex color like #1f2937, not "${brandColor}".`, { option: 'brandColor' });
+  }
+  if (colorMode !== undefined && !COLOR_MODES[colorMode]) {
+    throw new InvalidOptionError(`Unknown color mode "${colorMode}". Available color modes: ${Object.keys(COLOR_MODES).join(', ')}.`, { option: 'colorMode' });
+  }
+}
+
+// Options that only work with the templates that have the Express server
+function validateServerOptions(templateName, { provider, tools, docker, typescriptServer, language }) {
+  // The TypeScript server shares its API types with the TypeScript frontend
+  if (typescriptServer && (!hasLanguages(templateName) || language === 'javascript')) {
+    throw new InvalidOptionError(`The TypeScript server shares its API types with the React frontend, so it needs TypeScript and the ${getLanguageTemplateNames().join(' or ')} template.`, { option: 'typescriptServer' });
+  }
+  if (hasServer(templateName)) {
+    return;
+  }
+
+  const fail = (message, option) => {
+    throw new InvalidOptionError(`${message}, which the ${templateName} template doesn't have. Use it with ${getServerTemplateNames().join(', ')}.`, { option });
+  };
+  if (provider && getProvider(provider).mock) {
+    fail('The mock provider needs the Express server', 'provider');
+  }
+  if (tools) {
+    fail('Agent tools need the Express server', 'tools');
+  }
+  if (docker) {
+    fail('The Docker setup runs the Express server', 'docker');
+  }
+}
+
+// Checks the offline install options before anything is written to disk
+function validateInstallOptions(packageManager, { offline, preferOffline, cacheDir }) {
+  if (offline && preferOffline) {
+    throw new InvalidOptionError('Only one of offline and preferOffline can be used.', { option: 'offline' });
+  }
+  if ((offline || preferOffline || cacheDir) && !packageManagers[packageManager].offline) {
+    throw new InvalidOptionError(`${packageManager} does not support installing from a local cache. Use npm, pnpm or yarn.`, { option: 'packageManager' });
+  }
+  if (cacheDir && !fs.existsSync(cacheDir)) {
+    throw new InvalidOptionError(`Cache directory ${cacheDir} does not exist.`, { option: 'cacheDir' });
+  }
+}
+
+// Where the project goes and what its package is called. `dir` defaults to the name, and the
+// name to the directory's. An existing directory may only hold entries the project can't
+// clash with, unless force is set.
+function resolveProjectPath({ name, dir, force = false }) {
+  if (!name && !dir) {
+    throw new InvalidOptionError('Either name or dir is required.', { option: 'name' });
+  }
+
+  const projectPath = path.resolve(dir || name);
+  const packageName = name || getPackageName(projectPath);
+  validatePackageName(packageName);
+
+  const existing = fs.existsSync(projectPath);
+  if (existing) {
+    if (!fs.statSync(projectPath).isDirectory()) {
+      throw new DirectoryConflictError(`${dir || name} already exists and is not a directory.`, { entries: [] });
+    }
+
+    const entries = getUnsafeEntries(projectPath);
+    if (entries.length > 0 && !force) {
+      throw new DirectoryConflictError(`Directory ${dir || name} contains files that could conflict: ${entries.join(', ')}.`, { entries });
+    }
+  }
+
+  return { projectPath, packageName, existing };
+}
+
+function getExtraLayers(templateName, { language, typescriptServer, clean, tools, docker }) {
+  return [
+    ...(language ? [LANGUAGES[language].layer] : []),
+    ...(hasServer(templateName) ? [LANGUAGES[typescriptServer ? 'typescript' : 'javascript'].serverLayer] : []),
+    ...(clean && language ? [EXTRA_LAYERS.clean, LANGUAGES[language].cleanLayer] : []),
+    ...(tools ? [EXTRA_LAYERS.tools] : []),
+    ...(docker ? [EXTRA_LAYERS.docker] : [])
+  ];
+}
+
+// Files in an existing directory that the template would replace
+async function findConflicts(projectPath, templateName, { language, typescriptServer, clean, tools, docker, apiKey }) {
+  const templateFiles = (await listTemplateFiles(templateName, getExtraLayers(templateName, { language, typescriptServer, clean, tools, docker })))
+    .filter(file => !clean || !STARTER_PAGE_FILES.some(starter => file === starter || file.startsWith(`${starter}/`)));
+  return (apiKey ? [...templateFiles, '.env'] : templateFiles)
+    .filter(file => fs.existsSync(path.join(projectPath, file)));
+}
+
+// Install flags for offline, preferOffline and cacheDir in the package manager's own syntax
+function getOfflineArgs(packageManager, { offline, preferOffline, cacheDir }) {
+  const flags = packageManagers[packageManager].offline;
+  const args = [];
+  if (offline) {
+    args.push(flags.offline);
+  } else if (preferOffline) {
+    args.push(flags.preferOffline);
+  }
+  if (cacheDir) {
+    args.push(flags.cacheDir, path.resolve(cacheDir));
+  }
+  return args;
+}
+
+// What an offline install could not find in the cache
+async function findUncachedPackages(projectPath, packageManager, result, { cacheDir }, onProgress) {
+  // npm can be asked about each package; other managers only tell us what they stopped at
+  let missing = [];
+  if (packageManager === 'npm') {
+    onProgress({ type: 'start', message: 'Checking which dependencies are in the cache...' });
+    missing = await findUncachedDependencies(projectPath, cacheDir ? ['--cache', path.resolve(cacheDir)] : []);
+    onProgress({ type: 'stop' });
+  }
+  const failedOn = getUncachedPackage(result.output);
+  if (failedOn && !missing.some(dependency => dependency.startsWith(`${failedOn}@`))) {
+    missing.push(`${failedOn} (required by another dependency)`);
+  }
+  return missing;
+}
+
+// Installs the dependencies, retrying npm with the fix for each kind of error it reports.
+// Resolves to { ok: true }, { interrupted: true } or the last failure's { code, output, logPath },
+// plus `missing` for offline installs.
+async function installDependencies(projectPath, packageManager, options, { rollback, onProgress }) {
+  const [command, ...args] = packageManagers[packageManager].install.split(' ');
+
+  // Passed per command, so the user's configured registry and proxy stay untouched
+  if (options.registry) {
+    args.push('--registry', options.registry);
+  }
+
+  args.push(...getOfflineArgs(packageManager, options));
+
+  const tried = new Set();
+  let description = `Installing dependencies with ${packageManager}`;
+
+  // Paths a retry created for this run only, such as a fresh npm cache
+  const temporary = [];
+  // Project files a retry changed, such as .npmrc, kept only if an install succeeds with them
+  const changed = [];
+  const restoreChanged = () => Promise.all(changed.map(({ path: target, content }) =>
+    (content === null ? fs.remove(target) : fs.writeFile(target, content))));
+  try {
+    while (true) {
+      onProgress({ type: 'start', message: `${description}...` });
+      const result = await rollback.wait(runInstall(command, args, projectPath, rollback.signal));
+      if (result.interrupted) {
+        onProgress({ type: 'stop' });
+        return result;
+      }
+
+      if (result.ok) {
+        onProgress({ type: 'succeed', message: 'Dependencies installed successfully! ✨' });
+        return result;
+      }
+
+      onProgress({ type: 'fail', message: `Installing with ${packageManager} failed${result.code ? ` (${result.code})` : ''}` });
+
+      // Nothing to retry when the cache is all there is, find out what is missing from it
+      if (options.offline) {
+        return { ...result, missing: await findUncachedPackages(projectPath, packageManager, result, options, onProgress) };
+      }
+
+      // Pick the next strategy from the actual error; each kind of fix is tried once
+      const strategy = packageManager === 'npm' && result.kind && !tried.has(result.kind)
+        ? NPM_STRATEGIES[result.kind]
+        : null;
+
+      if (!strategy) {
+        await restoreChanged();
+        return result;
+      }
+
+      tried.add(result.kind);
+      const prepared = await prepareStrategy(strategy, projectPath);
+      args.push(...prepared.args);
+      temporary.push(...prepared.temporary);
+      // A rollback (Ctrl+C or an error) restores them as well
+      prepared.changed.forEach(({ path: target, content }) => (content === null ? rollback.track(target) : rollback.backup(target, content)));
+      changed.push(...prepared.changed);
+      description = strategy.description;
+    }
+  } finally {
+    await Promise.all(temporary.map(target => fs.remove(target)));
+  }
+}
+
+/**
+ * Creates an Alith app, without prompting or printing anything.
+ *
+ * Files are written to a staging directory next to the project (in the system's temp directory
+ * when merging into an existing one) and moved into place once complete, so a failure or
+ * cancellation leaves nothing behind. A failed install keeps the project, as it can still be
+ * installed by hand; the result's installFailure says why.
+ *
+ * @param {object} options
+ * @param {string} [options.name] Package name, defaults to the directory's name
+ * @param {string} [options.dir] Directory to create the project in, defaults to the name
+ * @param {string} [options.template='default'] One of the templates in lib/templates.js
+ * @param {string} [options.provider='groq'] One of the providers in lib/providers.js
+ * @param {string} [options.apiKey] Written to .env; the provider's environment variable is not read
+ * @param {string} [options.assistantName='Alith'] Name the assistant introduces itself with
+ * @param {string} [options.persona] System prompt, defaults to one introducing the assistant by name
+ * @param {string} [options.language] typescript or javascript, for the templates with a React frontend (default and rag).
+ *   Defaults to typescript there
+ * @param {boolean} [options.typescriptServer=false] Write the Express server in TypeScript, sharing the API types
+ *   with the frontend. Needs the TypeScript frontend of the default or rag template
+ * @param {string} [options.title] Title of the page and the chat header, for the default and rag templates.
+ *   Defaults to the assistant name
+ * @param {string} [options.brandColor='#1f2937'] Hex color of the chat's header, buttons and the user's messages
+ * @param {string} [options.colorMode='system'] light, dark or system: how the chat looks until the user switches
+ * @param {boolean} [options.clean=false] Replace the Vite starter page in App with a plain one
+ * @param {boolean} [options.tools=false] Add the example agent tools
+ * @param {boolean} [options.docker=false] Add a Dockerfile, .dockerignore and docker-compose.yml
+ * @param {string} [options.packageManager='npm'] npm, pnpm, yarn or bun, for installing and the generated scripts
+ * @param {boolean} [options.install=false] Install the dependencies
+ * @param {boolean} [options.offline] Install only from the package cache
+ * @param {boolean} [options.preferOffline] Use cached packages when available
+ * @param {string} [options.cacheDir] Package cache to install from and save to
+ * @param {string} [options.registry] npm registry to install from
+ * @param {boolean} [options.force=false] Allow a directory that already holds other files
+ * @param {string[]|boolean} [options.overwrite=[]] With force, existing files to replace, or true for all of them
+ * @param {AbortSignal} [options.signal] Cancels the run and removes what it created
+ * @param {(event: { type: 'start'|'succeed'|'fail'|'stop', message?: string }) => void} [options.onProgress]
+ *   Called as each step starts and ends, e.g. to drive a spinner
+ * @returns {Promise<object>} What was created, see README.md
+ * @throws {InvalidOptionError|DirectoryConflictError|ProjectCreationError|CancelledError}
+ */
+async function createAlithApp(options = {}) {
+  const {
+    template: templateName = DEFAULT_TEMPLATE,
+    provider: providerName = DEFAULT_PROVIDER,
+    packageManager = DEFAULT_PACKAGE_MANAGER,
+    assistantName = DEFAULT_ASSISTANT_NAME,
+    typescriptServer = false,
+    clean = false,
+    tools = false,
+    docker = false,
+    install = false,
+    overwrite = [],
+    signal,
+    onProgress = () => {}
+  } = options;
+
+  validateTemplate(templateName);
+  validateProvider(providerName);
+  validatePackageManager(packageManager);
+  validateLanguage(templateName, options.language);
+  validateServerOptions(templateName, { provider: providerName, tools, docker, typescriptServer, language: options.language });
+  validateThemeOptions(templateName, options);
+  validateInstallOptions(packageManager, options);
+  if (!assistantName.trim() || (options.persona !== undefined && !options.persona.trim())) {
+    throw new InvalidOptionError('The assistant name and persona can\'t be empty.', { option: assistantName.trim() ? 'persona' : 'assistantName' });
+  }
+
+  const { projectPath, packageName, existing } = resolveProjectPath(options);
+  const template = getTemplate(templateName);
+  const language = options.language || template.languages?.[0] || null;
+  const provider = getProvider(providerName);
+  const apiKey = options.apiKey || provider.defaultApiKey;
+  const assistant = { name: assistantName.trim(), persona: (options.persona || getDefaultPersona(assistantName.trim())).trim() };
+
+  // Files the template shares with an existing directory are kept unless listed in
+  // overwrite (a kept .gitignore gets the missing entries appended)
+  let merge = null;
+  if (existing) {
+    const conflicts = await findConflicts(projectPath, templateName, { language, typescriptServer, clean, tools, docker, apiKey });
+    merge = { overwrite: overwrite === true ? conflicts : conflicts.filter(file => overwrite.includes(file)) };
+  }
+
+  // A new project is staged next to where it goes, so moving it into place is a single rename.
+  // Merging copies file by file anyway, and the parent of an existing directory (e.g. /app in a
+  // container) may not be writable, so that is staged in the system's temp directory.
+  let stagingPath = path.join(path.dirname(projectPath), `.${path.basename(projectPath)}.creating-${process.pid}`);
+  const rollback = createRollback();
+  let rollingBack = null;
+  const rollBack = () => (rollingBack = rollingBack || rollback.run());
+
+  // Aborting stops a running install right away; other steps finish first, so nothing
+  // is written after the rollback
+  let installing = false;
+  const onAbort = () => installing && rollBack();
+  signal?.addEventListener('abort', onAbort);
+
+  const fail = async (failed, error) => {
+    onProgress({ type: 'fail', message: failed });
+    await rollBack();
+    signal?.removeEventListener('abort', onAbort);
+    throw new ProjectCreationError(`${failed}: ${error.message}`, { cause: error });
+  };
+
+  const step = async (start, succeed, failed, work) => {
+    if (signal?.aborted) {
+      await rollBack();
+      throw new CancelledError();
+    }
+    onProgress({ type: 'start', message: start });
+    try {
+      await work();
+    } catch (error) {
+      await fail(failed, error);
+    }
+    onProgress({ type: 'succeed', message: succeed });
+  };
+
+  await step('Creating project directory...', 'Project directory created', 'Failed to create project directory', async () => {
+    if (merge) {
+      stagingPath = await fs.mkdtemp(path.join(os.tmpdir(), 'create-alith-app-'));
+      rollback.track(stagingPath);
+    } else {
+      await rollback.ensureDir(stagingPath);
+    }
+  });
+
+  await step('Creating template...', 'Template created', 'Failed to create template', () =>
+    copyTemplate(templateName, stagingPath, {
+      projectName: packageName,
+      ...getProviderVariables(provider),
+      ...getPackageManagerVariables(packageManager),
+      ...getAssistantVariables(assistant),
+      ...getThemeVariables({ title: options.title?.trim() || assistant.name, brandColor: options.brandColor, colorMode: options.colorMode }),
+      ...(language ? { scriptExtension: LANGUAGES[language].extension, configExtension: LANGUAGES[language].configExtension } : {}),
+      serverEntry: typescriptServer ? TYPESCRIPT_SERVER.entry : 'server.js'
+    }, getExtraLayers(templateName, { language, typescriptServer, clean, tools, docker })));
+
+  let envWritten = false;
+  await step('Configuring project...', 'Project configured', 'Failed to configure project', async () => {
+    const packageJsonPath = path.join(stagingPath, 'package.json');
+    const packageData = await fs.readJson(packageJsonPath);
+    packageData.name = packageName;
+    // The JavaScript frontend needs neither the compiler nor the type definitions
+    if (language === 'javascript') {
+      packageData.devDependencies = Object.fromEntries(Object.entries(packageData.devDependencies)
+        .filter(([name]) => name !== 'typescript' && !name.startsWith('@types/')));
+    }
+    if (clean) {
+      await Promise.all(STARTER_PAGE_FILES.map(file => fs.remove(path.join(stagingPath, file))));
+    }
+    if (typescriptServer) {
+      Object.assign(packageData.scripts, TYPESCRIPT_SERVER.scripts(packageData.scripts));
+      Object.assign(packageData.devDependencies, TYPESCRIPT_SERVER.devDependencies);
+    }
+    await fs.writeJson(packageJsonPath, packageData, { spaces: 2 });
+
+    // .env with the API key filled in
+    const envExamplePath = path.join(stagingPath, '.env.example');
+    if (apiKey && fs.existsSync(envExamplePath)) {
+      const envContent = await fs.readFile(envExamplePath, 'utf8');
+      await fs.writeFile(path.join(stagingPath, '.env'), envContent.replace(new RegExp(`^${provider.apiKeyEnv}=.*$`, 'm'), () => `${provider.apiKeyEnv}=${apiKey}`));
+      envWritten = true;
+    }
+
+    if (merge) {
+      Object.assign(merge, await mergeInto(stagingPath, projectPath, { overwrite: merge.overwrite, rollback }));
+      // An existing .env the user kept doesn't have the key
+      envWritten = envWritten && !merge.kept.includes('.env');
+    } else {
+      // Moving a whole directory is a single rename on the same filesystem
+      await fs.move(stagingPath, projectPath);
+      rollback.track(projectPath);
+    }
+  });
+
+  let installResult = null;
+  if (install) {
+    // In an existing directory the project itself is not removed on rollback, so track what the install adds
+    if (merge) {
+      [path.join(projectPath, 'node_modules'), path.join(projectPath, packageManagers[packageManager].lockfile)]
+        .filter(target => !fs.existsSync(target))
+        .forEach(target => rollback.track(target));
+    }
+
+    // A failed install is reported in the result, but an error thrown while installing
+    // (e.g. while preparing a retry) removes the project like any other failed step
+    installing = !signal?.aborted;
+    try {
+      if (installing) {
+        installResult = await installDependencies(projectPath, packageManager, options, { rollback, onProgress });
+      }
+    } catch (error) {
+      await fail('Failed to install dependencies', error);
+    } finally {
+      installing = false;
+    }
+  }
+
+  signal?.removeEventListener('abort', onAbort);
+  if (signal?.aborted) {
+    await rollBack();
+    throw new CancelledError();
+  }
+
+  // From here on the project stays, even when the install failed
+  rollback.commit();
+
+  return {
+    projectPath,
+    projectName: packageName,
+    template: templateName,
+    language,
+    provider: providerName,
+    packageManager,
+    envWritten,
+    installed: Boolean(installResult?.ok),
+    installFailure: installResult && !installResult.ok
+      ? { code: installResult.code, output: installResult.output, logPath: installResult.logPath, missing: installResult.missing || null }
+      : null,
+    // Existing files left in place, and template dependencies a kept package.json lacks
+    kept: merge?.kept || [],
+    missingDependencies: merge?.missingDependencies || [],
+    commands: template.commands.map(({ script, description }) => ({ script, command: runScript(packageManager, script), description }))
+  };
+}
+
+module.exports = {
+  DEFAULT_PROJECT_NAME,
+  DEFAULT_TEMPLATE,
+  DEFAULT_PROVIDER,
+  createAlithApp,
+  hasServer,
+  hasLanguages,
+  getServerTemplateNames,
+  getLanguageTemplateNames,
+  getPackageName,
+  validatePackageName,
+  validateTemplate,
+  validateProvider,
+  validateLanguage,
+  validateServerOptions,
+  validateThemeOptions,
+  validateInstallOptions,
+  resolveProjectPath,
+  findConflicts,
+  getOfflineArgs
+};
@@ -0,0 +1,59 @@
+// Line-based diff using the longest common subsequence. Inputs are small
+// (package.json, .env), so the quadratic table is fine.
+function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      changes.push({ type: ' ', line: a[i++] });
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      changes.push({ type: '-', line: a[i++] });
+    } else {
+      changes.push({ type: '+', line: b[j++] });
+    }
+  }
+  while (i < a.length) changes.push({ type: '-', line: a[i++] });
+  while (j < b.length) changes.push({ type: '+', line: b[j++] });
+
+  return changes;
+}
+
+// Keeps only changed lines and the given amount of context around them
+function trimContext(changes, context = 2) {
+  const keep = changes.map(() => false);
+  changes.forEach((change, index) => {
+    if (change.type === ' ') return;
+    for (let k = Math.max(0, index - context); k <= Math.min(changes.length - 1, index + context); k++) {
+      keep[k] = true;
+    }
+  });
+
+  const result = [];
+  changes.forEach((change, index) => {
+    if (keep[index]) {
+      result.push(change);
+    } else if (result.length > 0 && result[result.length - 1].type !== '…') {
+      result.push({ type: '…', line: '' });
+    }
+  });
+  if (result.length > 0 && result[result.length - 1].type === '…') result.pop();
+
+  return result;
+}
+
+module.exports = {
+  diffLines,
+  trimContext
+};
@@ -0,0 +1,99 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Entries a freshly cloned or initialized repository usually has. A directory
+// containing nothing else can be scaffolded into without --force.
+const SAFE_ENTRIES = ['.git', 'README.md', 'LICENSE', '.gitignore'];
+
+// Entries that would keep the project from being created in an existing directory
+function getUnsafeEntries(projectPath) {
+  return fs.readdirSync(projectPath).filter(entry => !SAFE_ENTRIES.includes(entry)).sort();
+}
+
+// Turns a directory name such as "My Repo" into a usable package name, "my-repo"
+function toPackageName(directoryName) {
+  return directoryName
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9._~-]+/g, '-')
+    .replace(/^[._-]+/, '')
+    .replace(/-+$/, '');
+}
+
+async function listFiles(dir, base = dir) {
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(fullPath, base));
+    } else {
+      // Forward slashes, to match the paths from listTemplateFiles
+      files.push(path.relative(base, fullPath).split(path.sep).join('/'));
+    }
+  }
+  return files;
+}
+
+// Lines of the template's .gitignore missing from the existing one are appended,
+// so node_modules and .env stay ignored in repositories that already had a .gitignore
+async function mergeGitignore(existingPath, stagedPath) {
+  const existing = await fs.readFile(existingPath, 'utf8');
+  const present = new Set(existing.split(/\r?\n/).map(line => line.trim()));
+  const missing = (await fs.readFile(stagedPath, 'utf8'))
+    .split(/\r?\n/)
+    .filter(line => line.trim() && !line.startsWith('#') && !present.has(line.trim()));
+
+  if (missing.length > 0) {
+    const separator = existing && !existing.endsWith('\n') ? '\n' : '';
+    await fs.appendFile(existingPath, `${separator}${missing.join('\n')}\n`);
+  }
+}
+
+async function getMissingDependencies(existingPath, stagedPath) {
+  const existing = await fs.readJson(existingPath);
+  const staged = await fs.readJson(stagedPath);
+  const declared = { ...existing.dependencies, ...existing.devDependencies };
+  return Object.entries({ ...staged.dependencies, ...staged.devDependencies })
+    .filter(([name]) => !declared[name])
+    .map(([name, range]) => `${name}@${range}`);
+}
+
+// Moves staged files into an existing directory one by one. `overwrite` lists the
+// existing files the user chose to replace; every other existing file is kept.
+// New files are tracked and replaced files backed up, so the rollback can undo both.
+// Returns the kept files, except the merged .gitignore, and the template dependencies
+// a kept package.json does not declare.
+async function mergeInto(stagingPath, projectPath, { overwrite = [], rollback }) {
+  const kept = [];
+  let missingDependencies = [];
+  for (const file of await listFiles(stagingPath)) {
+    const source = path.join(stagingPath, file);
+    const target = path.join(projectPath, file);
+
+    if (!fs.existsSync(target)) {
+      await rollback.ensureDir(path.dirname(target));
+      await fs.move(source, target);
+      rollback.track(target);
+    } else if (overwrite.includes(file)) {
+      rollback.backup(target, await fs.readFile(target));
+      await fs.move(source, target, { overwrite: true });
+    } else if (file === '.gitignore') {
+      rollback.backup(target, await fs.readFile(target));
+      await mergeGitignore(target, source);
+    } else {
+      kept.push(file);
+      if (file === 'package.json') {
+        missingDependencies = await getMissingDependencies(target, source);
+      }
+    }
+  }
+  await fs.remove(stagingPath);
+  return { kept, missingDependencies };
+}
+
+module.exports = {
+  SAFE_ENTRIES,
+  getUnsafeEntries,
+  toPackageName,
+  mergeInto
+};
@@ -0,0 +1,55 @@
+// Errors thrown by createAlithApp(). Each has a stable `code` to branch on, and the
+// CLI prints `message` as is, so messages are complete sentences without formatting.
+class CreateAlithAppError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+// An option is missing, unknown or can't be combined with another one. `option` names it.
+class InvalidOptionError extends CreateAlithAppError {
+  constructor(message, details) {
+    super(message, 'INVALID_OPTION', details);
+  }
+}
+
+// The target directory holds files the project could clash with. `entries` lists them.
+class DirectoryConflictError extends CreateAlithAppError {
+  constructor(message, details) {
+    super(message, 'DIRECTORY_CONFLICT', details);
+  }
+}
+
+// Writing the project failed. Everything it created has been removed again; `cause` is the original error.
+class ProjectCreationError extends CreateAlithAppError {
+  constructor(message, details) {
+    super(message, 'CREATE_FAILED', details);
+  }
+}
+
+// An existing project the `add` command works on can't be read, e.g. its package.json
+// isn't valid JSON. `file` names it. Not thrown by createAlithApp().
+class InvalidProjectError extends CreateAlithAppError {
+  constructor(message, details) {
+    super(message, 'INVALID_PROJECT', details);
+  }
+}
+
+// The signal passed as `signal` was aborted. Everything created so far has been removed.
+class CancelledError extends CreateAlithAppError {
+  constructor(message = 'Project creation was cancelled.') {
+    super(message, 'CANCELLED');
+  }
+}
+
+module.exports = {
+  CreateAlithAppError,
+  InvalidOptionError,
+  DirectoryConflictError,
+  ProjectCreationError,
+  InvalidProjectError,
+  CancelledError
+};
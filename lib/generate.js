@@ -0,0 +1,99 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { renderTemplateFile } = require('./templates');
+
+// Where generated projects keep their tool registry; .mjs is used by projects set up with `add`
+const TOOL_REGISTRIES = ['tools/index.js', 'tools/index.mjs'];
+
+// "Get weather" or "get-weather" -> { fileName: 'get-weather', exportName: 'getWeather', toolName: 'get_weather' }
+function getToolNames(name) {
+  const words = name
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map(word => word.toLowerCase());
+
+  if (words.length === 0 || /^\d/.test(words[0])) {
+    return null;
+  }
+
+  return {
+    fileName: words.join('-'),
+    exportName: words.map((word, i) => (i === 0 ? word : word[0].toUpperCase() + word.slice(1))).join(''),
+    toolName: words.join('_')
+  };
+}
+
+// Adds the import and the array entry to a registry shaped like templates/_tools/tools/index.js
+function registerTool(registry, exportName, importPath) {
+  if (!/export default \[[\s\S]*?\];/.test(registry)) {
+    return null;
+  }
+
+  // After the last import, or at the top followed by a blank line
+  const lastImport = [...registry.matchAll(/^import .*;\n/gm)].at(-1);
+  const at = lastImport ? lastImport.index + lastImport[0].length : 0;
+  const importLine = `import { ${exportName} } from '${importPath}';\n${lastImport ? '' : '\n'}`;
+  const withImport = registry.slice(0, at) + importLine + registry.slice(at);
+
+  return withImport.replace(/export default \[([\s\S]*?)\n?\];/, (match, entries) => {
+    const existing = entries.replace(/\s*$/, '');
+    const separator = existing.trim() && !existing.endsWith(',') ? ',' : '';
+    return `export default [${existing}${separator}\n  ${exportName},\n];`;
+  });
+}
+
+// Creates a tool skeleton and registers it with the agent. Returns the changed
+// files, or throws when the project has no tool registry or the tool exists.
+async function generateTool(projectPath, name, { description } = {}) {
+  const names = getToolNames(name);
+  if (!names) {
+    throw new Error(`"${name}" is not a valid tool name. Use letters, numbers and dashes, e.g. get-weather.`);
+  }
+
+  const registryPath = TOOL_REGISTRIES.find(file => fs.existsSync(path.join(projectPath, file)));
+  if (!registryPath) {
+    throw new Error('No tools/index.js found. Run this from the root of a project created with the default, minimal-api or vanilla-js template.');
+  }
+
+  const extension = path.extname(registryPath);
+  const toolPath = `tools/${names.fileName}${extension}`;
+  if (fs.existsSync(path.join(projectPath, toolPath))) {
+    throw new Error(`${toolPath} already exists.`);
+  }
+
+  const registry = await fs.readFile(path.join(projectPath, registryPath), 'utf8');
+  if (new RegExp(`\\b${names.exportName}\\b`).test(registry)) {
+    throw new Error(`A tool named ${names.exportName} is already registered in ${registryPath}.`);
+  }
+
+  const updatedRegistry = registerTool(registry, names.exportName, `./${names.fileName}${extension}`);
+  if (!updatedRegistry) {
+    throw new Error(`Could not find the "export default [ ... ];" list in ${registryPath}.`);
+  }
+
+  const text = (description || `Describe what ${names.toolName} does, so the model knows when to call it.`).replace(/\s+/g, ' ').trim();
+  const content = await renderTemplateFile('_generate/tool.js', {
+    ...names,
+    description: text,
+    descriptionString: text.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')
+  });
+
+  await fs.writeFile(path.join(projectPath, toolPath), content);
+  await fs.writeFile(path.join(projectPath, registryPath), updatedRegistry);
+
+  return { ...names, created: [toolPath], modified: [registryPath] };
+}
+
+// Things `generate` can create inside an existing project
+const generators = {
+  tool: {
+    description: 'A tool the Alith agent can call, registered in tools/index.js',
+    generate: generateTool
+  }
+};
+
+module.exports = {
+  generators,
+  generateTool
+};
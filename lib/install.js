@@ -0,0 +1,182 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { execSync, spawn } = require('child_process');
+
+const INSTALL_TIMEOUT = 300000; // 5 minutes
+
+// npm error codes grouped by what can be done about them
+const ERROR_KINDS = {
+  network: ['ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH'],
+  peer: ['ERESOLVE'],
+  lock: ['EPERM', 'EBUSY', 'EACCES', 'ENOTEMPTY', 'EEXIST'],
+  cache: ['EINTEGRITY', 'EBADSIZE', 'Z_DATA_ERROR']
+};
+
+// Retry strategies for npm. Each one only affects this project: flags on the
+// command line, a project-local .npmrc, the project's own node_modules, or a
+// cache made for this run. The user's global npm config and shared cache are never touched.
+const NPM_STRATEGIES = {
+  network: {
+    description: 'Retrying with longer network timeouts',
+    args: ['--prefer-offline', '--fetch-retries=4', '--fetch-retry-mintimeout=10000', '--fetch-retry-maxtimeout=60000']
+  },
+  peer: {
+    description: 'Retrying with legacy peer dependency resolution',
+    args: ['--legacy-peer-deps'],
+    // Saved to the project's .npmrc so later installs resolve the same way
+    npmrc: 'legacy-peer-deps=true'
+  },
+  lock: {
+    description: 'Removing the partial node_modules and retrying',
+    clean: true
+  },
+  cache: {
+    description: 'Retrying with a fresh cache for this project only',
+    // A new temporary directory, removed once the install is over
+    freshCache: true
+  }
+};
+
+// Finds the error code npm printed, e.g. "npm ERR! code ERESOLVE" (npm <= 9) or "npm error code ERESOLVE" (npm 10+)
+function getErrorCode(output) {
+  const match = output.match(/npm (?:ERR!|error) (?:code|errno) (\w+)/) || output.match(/\b(E[A-Z_]{3,})\b/);
+  return match ? match[1] : null;
+}
+
+function classifyInstallError(code) {
+  const entry = Object.entries(ERROR_KINDS).find(([, codes]) => codes.includes(code));
+  return entry ? entry[0] : null;
+}
+
+// Path of npm's full debug log, if it mentioned one. npm 8 prints it on the next line,
+// after another "npm ERR!" prefix.
+function getDebugLogPath(output) {
+  const match = output.match(/A complete log of this run can be found in:?\s*(?:npm (?:ERR!|error)\s+)?(\S+)/);
+  return match ? match[1] : null;
+}
+
+const quote = (arg) => (/\s/.test(arg) ? `"${arg}"` : arg);
+
+// Runs without blocking, so the spinner keeps moving and Ctrl+C reaches the CLI.
+// Aborting the signal stops the install; the result then has interrupted set.
+function runInstall(command, args, projectPath, signal) {
+  return new Promise((resolve) => {
+    let output = '';
+    let timedOut = false;
+    let settled = false;
+
+    // npm, pnpm and yarn are .cmd shims on Windows, which only run through a shell
+    const windows = process.platform === 'win32';
+    const child = windows
+      ? spawn([command, ...args].map(quote).join(' '), { cwd: projectPath, shell: true, signal })
+      : spawn(command, args, { cwd: projectPath, signal });
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill();
+    }, INSTALL_TIMEOUT);
+
+    const finish = (result) => {
+      if (!settled) {
+        settled = true;
+        clearTimeout(timer);
+        resolve(result);
+      }
+    };
+
+    child.stdout.on('data', (data) => { output += data; });
+    child.stderr.on('data', (data) => { output += data; });
+
+    child.on('error', (error) => {
+      if (error.name === 'AbortError') {
+        // Wait for the process to exit so nothing is still writing to the project
+        return;
+      }
+      finish({ ok: false, code: error.code || null, kind: null, output: `${output}${error.message}`, logPath: null });
+    });
+
+    child.on('close', (exitCode) => {
+      if (signal?.aborted) {
+        finish({ ok: false, interrupted: true });
+        return;
+      }
+      if (exitCode === 0) {
+        finish({ ok: true });
+        return;
+      }
+      const code = timedOut ? 'ETIMEDOUT' : getErrorCode(output);
+      finish({
+        ok: false,
+        code,
+        kind: classifyInstallError(code),
+        output,
+        logPath: getDebugLogPath(output)
+      });
+    });
+  });
+}
+
+// Declared dependencies npm cannot resolve from its cache, checked one by one
+// since npm itself stops at the first miss
+async function findUncachedDependencies(projectPath, cacheArgs = []) {
+  const packageJson = await fs.readJson(path.join(projectPath, 'package.json'));
+  const dependencies = { ...packageJson.dependencies, ...packageJson.devDependencies };
+
+  return Object.entries(dependencies)
+    .filter(([name, range]) => {
+      try {
+        execSync(['npm', 'view', `${name}@${range}`, 'version', '--offline', ...cacheArgs].map(quote).join(' '), {
+          cwd: projectPath,
+          stdio: 'pipe',
+          timeout: 30000
+        });
+        return false;
+      } catch {
+        return true;
+      }
+    })
+    .map(([name, range]) => `${name}@${range}`);
+}
+
+// Package npm was fetching when it found nothing cached, e.g. a transitive dependency
+function getUncachedPackage(output) {
+  const match = output.match(/request to https?:\/\/\S+?\/(@[^\s/]+(?:\/|%2f)[^\s/]+|[^\s/@][^\s/]*)(?:\/-\/\S+)? failed/i);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+// Applies a strategy's project-scoped side effects before retrying. Returns the
+// arguments to retry with, the temporary paths to remove after the install, and the
+// project files it changed with their original content (null for files it created).
+async function prepareStrategy(strategy, projectPath) {
+  const args = [...(strategy.args || [])];
+  const temporary = [];
+  const changed = [];
+  if (strategy.freshCache) {
+    const cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'create-alith-app-cache-'));
+    args.push('--cache', cacheDir);
+    temporary.push(cacheDir);
+  }
+  if (strategy.clean) {
+    await fs.remove(path.join(projectPath, 'node_modules'));
+  }
+  if (strategy.npmrc) {
+    const npmrcPath = path.join(projectPath, '.npmrc');
+    const existing = fs.existsSync(npmrcPath) ? await fs.readFile(npmrcPath, 'utf8') : null;
+    if (!(existing || '').includes(strategy.npmrc)) {
+      changed.push({ path: npmrcPath, content: existing });
+      const separator = existing && !existing.endsWith('\n') ? '\n' : '';
+      await fs.appendFile(npmrcPath, `${separator}${strategy.npmrc}\n`);
+    }
+  }
+  return { args, temporary, changed };
+}
+
+module.exports = {
+  NPM_STRATEGIES,
+  runInstall,
+  findUncachedDependencies,
+  getUncachedPackage,
+  prepareStrategy,
+  classifyInstallError
+};
@@ -0,0 +1,81 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// `offline` holds the install flags for cache-only installs; bun has no equivalent
+const packageManagers = {
+  npm: {
+    install: 'npm install',
+    run: 'npm run',
+    lockfile: 'package-lock.json',
+    offline: { offline: '--offline', preferOffline: '--prefer-offline', cacheDir: '--cache' }
+  },
+  pnpm: {
+    install: 'pnpm install',
+    run: 'pnpm run',
+    lockfile: 'pnpm-lock.yaml',
+    offline: { offline: '--offline', preferOffline: '--prefer-offline', cacheDir: '--store-dir' }
+  },
+  yarn: {
+    install: 'yarn install',
+    run: 'yarn',
+    lockfile: 'yarn.lock',
+    offline: { offline: '--offline', preferOffline: '--prefer-offline', cacheDir: '--cache-folder' }
+  },
+  bun: {
+    install: 'bun install',
+    run: 'bun run',
+    lockfile: 'bun.lock',
+    offline: null
+  }
+};
+
+// Checked in order, so a project with several lockfiles uses the first match
+const LOCKFILES = [
+  ['pnpm-lock.yaml', 'pnpm'],
+  ['yarn.lock', 'yarn'],
+  ['bun.lock', 'bun'],
+  ['bun.lockb', 'bun'],
+  ['package-lock.json', 'npm']
+];
+
+function getPackageManagerNames() {
+  return Object.keys(packageManagers);
+}
+
+// The package manager that launched the CLI, e.g. "pnpm/9.1.0 npm/? node/v20.11.0 linux x64" for `pnpm create`
+function getInvokingPackageManager() {
+  const userAgent = process.env.npm_config_user_agent || '';
+  const name = userAgent.split(' ')[0].split('/')[0];
+  return packageManagers[name] ? name : 'npm';
+}
+
+// The package manager an existing project uses, judging by its lockfile
+function detectPackageManager(projectPath) {
+  const match = LOCKFILES.find(([lockfile]) => fs.existsSync(path.join(projectPath, lockfile)));
+  return match ? match[1] : 'npm';
+}
+
+function runScript(name, script) {
+  if (script === 'start' && name !== 'bun') {
+    return `${name} start`;
+  }
+  return `${packageManagers[name].run} ${script}`;
+}
+
+// Placeholders substituted into template files for the chosen package manager
+function getPackageManagerVariables(name) {
+  return {
+    packageManager: name,
+    installCommand: packageManagers[name].install,
+    runScript: packageManagers[name].run
+  };
+}
+
+module.exports = {
+  packageManagers,
+  getPackageManagerNames,
+  getInvokingPackageManager,
+  detectPackageManager,
+  runScript,
+  getPackageManagerVariables
+};
@@ -0,0 +1,52 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { detectPackageManager } = require('./package-manager');
+const { InvalidProjectError } = require('./errors');
+
+// Describes an existing project from its package.json and files, or returns null without one
+async function detectProject(projectPath) {
+  const packageJsonPath = path.join(projectPath, 'package.json');
+  if (!(await fs.pathExists(packageJsonPath))) {
+    return null;
+  }
+
+  const packageJsonText = await fs.readFile(packageJsonPath, 'utf8');
+  let packageJson;
+  try {
+    packageJson = JSON.parse(packageJsonText);
+  } catch (error) {
+    throw new InvalidProjectError(`${packageJsonPath} is not valid JSON: ${error.message}. Fix it and run the command again.`, { file: packageJsonPath });
+  }
+  if (!packageJson || typeof packageJson !== 'object' || Array.isArray(packageJson)) {
+    throw new InvalidProjectError(`${packageJsonPath} does not contain a JSON object. Fix it and run the command again.`, { file: packageJsonPath });
+  }
+  const dependencies = { ...packageJson.dependencies, ...packageJson.devDependencies };
+  const has = (name) => Object.prototype.hasOwnProperty.call(dependencies, name);
+  const exists = (file) => fs.existsSync(path.join(projectPath, file));
+
+  let framework = null;
+  if (has('next')) {
+    framework = 'nextjs';
+  } else if (has('react') && has('express')) {
+    framework = 'react-express';
+  } else if (has('react')) {
+    framework = 'react';
+  } else if (has('express')) {
+    framework = 'express';
+  }
+
+  return {
+    packageJson,
+    packageJsonText,
+    framework,
+    typescript: has('typescript') || exists('tsconfig.json'),
+    packageManager: detectPackageManager(projectPath),
+    moduleType: packageJson.type === 'module' ? 'module' : 'commonjs',
+    srcDir: exists('src') ? 'src' : '.',
+    appDir: exists('src/app') ? 'src/app' : 'app'
+  };
+}
+
+module.exports = {
+  detectProject
+};
@@ -0,0 +1,87 @@
+// LLM providers the generated agent can talk to. All of them expose an
+// OpenAI-compatible chat completions API, which is what Alith's Agent expects.
+const providers = {
+  groq: {
+    title: 'Groq',
+    description: 'Fast hosted open models, free tier available',
+    baseUrl: 'https://api.groq.com/openai/v1',
+    model: 'llama-3.3-70b-versatile',
+    apiKeyEnv: 'GROQ_API_KEY',
+    apiKeyUrl: 'https://console.groq.com/keys'
+  },
+  openai: {
+    title: 'OpenAI',
+    description: 'GPT models from the OpenAI API',
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    apiKeyUrl: 'https://platform.openai.com/api-keys'
+  },
+  anthropic: {
+    title: 'Anthropic',
+    description: 'Claude models through Anthropic\'s OpenAI-compatible endpoint',
+    baseUrl: 'https://api.anthropic.com/v1',
+    model: 'claude-sonnet-4-5',
+    apiKeyEnv: 'ANTHROPIC_API_KEY',
+    apiKeyUrl: 'https://console.anthropic.com/settings/keys'
+  },
+  openrouter: {
+    title: 'OpenRouter',
+    description: 'One API key for hundreds of hosted models',
+    baseUrl: 'https://openrouter.ai/api/v1',
+    model: 'meta-llama/llama-3.3-70b-instruct',
+    apiKeyEnv: 'OPENROUTER_API_KEY',
+    apiKeyUrl: 'https://openrouter.ai/keys'
+  },
+  local: {
+    title: 'Local (Ollama, llama.cpp)',
+    description: 'OpenAI-compatible server running on your machine, no API key needed',
+    baseUrl: 'http://localhost:11434/v1',
+    model: 'llama3.2',
+    apiKeyEnv: 'LOCAL_LLM_API_KEY',
+    apiKeyUrl: null,
+    // Local servers ignore the key, but the OpenAI client still sends one
+    defaultApiKey: 'not-needed'
+  },
+  mock: {
+    title: 'Mock (no API key)',
+    description: 'Canned, streamed replies for UI work, no API key or network',
+    baseUrl: 'http://localhost:11434/v1',
+    model: 'mock',
+    // The generated server switches to mock responses when ALITH_MOCK is set,
+    // so it takes the place of the API key in .env
+    apiKeyEnv: 'ALITH_MOCK',
+    apiKeyUrl: null,
+    defaultApiKey: '1',
+    // Implemented by the Express server, which the nextjs and cli-bot templates don't have
+    mock: true
+  }
+};
+
+function getProviderNames() {
+  return Object.keys(providers);
+}
+
+function getProvider(name) {
+  return Object.prototype.hasOwnProperty.call(providers, name) ? providers[name] : null;
+}
+
+// Placeholders substituted into template files for the chosen provider. The mock provider's
+// .env.example turns mock responses on instead of asking for a key, and suggests echo replies.
+function getProviderVariables(provider) {
+  return {
+    model: provider.model,
+    baseUrl: provider.baseUrl,
+    apiKeyEnv: provider.apiKeyEnv,
+    apiKeyExample: provider.mock ? provider.defaultApiKey : 'your_api_key_here',
+    apiKeyRequired: String(!provider.mock),
+    mockExample: provider.mock ? 'echo' : '1'
+  };
+}
+
+module.exports = {
+  providers,
+  getProvider,
+  getProviderNames,
+  getProviderVariables
+};
@@ -0,0 +1,62 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Records what a run creates so it can be undone if a step fails or the user
+// presses Ctrl+C. Only paths the CLI created itself are ever removed; files it
+// replaced are written back with their original content.
+function createRollback() {
+  const steps = [];
+  const controller = new AbortController();
+  let pending = Promise.resolve();
+
+  return {
+    // Passed to long-running work such as installs, aborted when rolling back
+    signal: controller.signal,
+
+    track(target) {
+      steps.push(() => fs.remove(target));
+    },
+
+    // Original content of an existing file about to be changed
+    backup(target, content) {
+      steps.push(() => fs.writeFile(target, content));
+    },
+
+    // Creates a directory, tracking the outermost directory that did not exist yet
+    async ensureDir(target) {
+      let missing = null;
+      for (let dir = path.resolve(target); !fs.existsSync(dir); dir = path.dirname(dir)) {
+        missing = dir;
+      }
+      if (missing) {
+        steps.push(() => fs.remove(missing));
+      }
+      await fs.ensureDir(target);
+    },
+
+    // Work that has to finish before anything is removed, e.g. a running install
+    wait(promise) {
+      pending = promise.catch(() => {});
+      return promise;
+    },
+
+    // Keeps everything created so far
+    commit() {
+      steps.length = 0;
+    },
+
+    async run() {
+      controller.abort();
+      await pending;
+      // Newest first, so nested paths are removed before their parents
+      for (const undo of steps.reverse()) {
+        await undo();
+      }
+      steps.length = 0;
+    }
+  };
+}
+
+module.exports = {
+  createRollback
+};
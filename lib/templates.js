@@ -0,0 +1,199 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+
+// npm strips or renames some dotfiles on publish, so they are stored under a placeholder name
+const RENAMED_FILES = {
+  _gitignore: '.gitignore',
+  _dockerignore: '.dockerignore'
+};
+
+// Pinned so generated projects install reproducibly, including from an offline cache
+const ALITH_VERSION = '0.12.3';
+
+// Languages a React frontend can be written in. Templates listing them in `languages` get the
+// language's layer after their own, and the first one is their default. Templates with the
+// _server layer get the serverLayer of the language their server is written in, JavaScript
+// unless the TypeScript server is chosen. With the clean option, the _clean layer and the
+// cleanLayer replace the Vite starter page.
+const LANGUAGES = {
+  typescript: { title: 'TypeScript', layer: '_typescript', serverLayer: '_server-typescript', extension: 'tsx', configExtension: 'ts', cleanLayer: '_clean-typescript' },
+  javascript: { title: 'JavaScript', layer: '_javascript', serverLayer: '_server-javascript', extension: 'jsx', configExtension: 'js', cleanLayer: '_clean-javascript' }
+};
+
+const BINARY_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.ico', '.webp', '.woff', '.woff2'];
+
+// Each template is built from one or more directories under templates/.
+// Layers are copied in order, so later layers override files from earlier ones.
+const templates = {
+  default: {
+    title: 'Default',
+    description: 'React + Vite chat widget with an Express/Alith backend',
+    layers: ['_base', '_server', 'default'],
+    languages: ['typescript', 'javascript'],
+    commands: [
+      { script: 'dev', description: 'Starts both frontend and backend development servers.' },
+      { script: 'frontend', description: 'Starts only the React frontend development server.' },
+      { script: 'server', description: 'Starts only the Alith AI backend server.' },
+      { script: 'build', description: 'Builds the app and the embeddable chat widget for production.' },
+      { script: 'start', description: 'Serves the built app, the widget and the API from one Node process.' },
+      { script: 'test', description: 'Runs the server and chat component tests, no API key needed.' }
+    ]
+  },
+  'minimal-api': {
+    title: 'Minimal API',
+    description: 'Express server exposing /api/chat, no frontend',
+    layers: ['_base', '_server', 'minimal-api'],
+    commands: [
+      { script: 'dev', description: 'Starts the API server and restarts it on file changes.' },
+      { script: 'start', description: 'Starts the API server.' },
+      { script: 'test', description: 'Runs the server tests, no API key needed.' }
+    ]
+  },
+  rag: {
+    title: 'RAG (chat with your docs)',
+    description: 'React chat that answers from your Markdown/text docs with cited sources',
+    layers: ['_base', '_server', 'default', 'rag'],
+    languages: ['typescript', 'javascript'],
+    commands: [
+      { script: 'dev', description: 'Indexes docs/, then starts both frontend and backend development servers.' },
+      { script: 'ingest', description: 'Rebuilds the docs index after you add or change files in docs/.' },
+      { script: 'frontend', description: 'Starts only the React frontend development server.' },
+      { script: 'server', description: 'Starts only the Alith AI backend server.' },
+      { script: 'build', description: 'Indexes docs/, then builds the app and the embeddable chat widget for production.' },
+      { script: 'start', description: 'Serves the built app, the widget and the API from one Node process.' },
+      { script: 'test', description: 'Runs the server, chat component and retrieval tests, no API key needed.' }
+    ]
+  },
+  nextjs: {
+    title: 'Next.js',
+    description: 'Next.js App Router app with an /api/chat route handler',
+    layers: ['_base', 'nextjs'],
+    commands: [
+      { script: 'dev', description: 'Starts the Next.js development server.' },
+      { script: 'build', description: 'Builds the app for production.' },
+      { script: 'start', description: 'Starts the production server.' }
+    ]
+  },
+  'vanilla-js': {
+    title: 'Vanilla JS',
+    description: 'Plain HTML/CSS/JS chat page with an Express/Alith backend',
+    layers: ['_base', '_server', 'vanilla-js'],
+    commands: [
+      { script: 'dev', description: 'Starts both frontend and backend development servers.' },
+      { script: 'frontend', description: 'Starts only the Vite frontend development server.' },
+      { script: 'server', description: 'Starts only the Alith AI backend server.' },
+      { script: 'build', description: 'Builds the app for production.' },
+      { script: 'start', description: 'Serves the built app and the API from one Node process.' },
+      { script: 'test', description: 'Runs the server tests, no API key needed.' }
+    ]
+  },
+  'cli-bot': {
+    title: 'CLI Bot',
+    description: 'Interactive terminal chat bot',
+    layers: ['_base', 'cli-bot'],
+    commands: [
+      { script: 'start', description: 'Starts an interactive chat session in your terminal.' }
+    ]
+  }
+};
+
+function getTemplateNames() {
+  return Object.keys(templates);
+}
+
+function getLanguageNames() {
+  return Object.keys(LANGUAGES);
+}
+
+function getTemplate(name) {
+  return Object.prototype.hasOwnProperty.call(templates, name) ? templates[name] : null;
+}
+
+// Replaces {{key}} placeholders for the keys present in variables, leaving anything else untouched
+function renderContent(content, variables) {
+  return content.replace(/\{\{(\w+)\}\}/g, (match, key) =>
+    Object.prototype.hasOwnProperty.call(variables, key) ? String(variables[key]) : match
+  );
+}
+
+async function copyLayer(sourceDir, targetDir, variables) {
+  const entries = await fs.readdir(sourceDir, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const sourcePath = path.join(sourceDir, entry.name);
+    const targetPath = path.join(targetDir, RENAMED_FILES[entry.name] || entry.name);
+
+    if (entry.isDirectory()) {
+      await fs.ensureDir(targetPath);
+      await copyLayer(sourcePath, targetPath, variables);
+    } else if (BINARY_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+      await fs.copy(sourcePath, targetPath);
+    } else {
+      const content = await fs.readFile(sourcePath, 'utf8');
+      await fs.writeFile(targetPath, renderContent(content, variables));
+    }
+  }
+}
+
+// Reads a single file from templates/ (e.g. '_server/routes/chat.js') with placeholders filled in
+async function renderTemplateFile(relativePath, variables = {}) {
+  const content = await fs.readFile(path.join(TEMPLATES_DIR, relativePath), 'utf8');
+  return renderContent(content, variables);
+}
+
+async function listLayerFiles(dir, prefix = '') {
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const target = path.posix.join(prefix, RENAMED_FILES[entry.name] || entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listLayerFiles(path.join(dir, entry.name), target));
+    } else {
+      files.push(target);
+    }
+  }
+  return files;
+}
+
+// Optional layers added on top of a template, e.g. _tools for the example agent tools
+const EXTRA_LAYERS = {
+  tools: '_tools',
+  docker: '_docker',
+  clean: '_clean'
+};
+
+// Paths, relative to the project, of every file copyTemplate would write
+async function listTemplateFiles(name, extraLayers = []) {
+  const files = new Set();
+  for (const layer of [...getTemplate(name).layers, ...extraLayers]) {
+    (await listLayerFiles(path.join(TEMPLATES_DIR, layer))).forEach(file => files.add(file));
+  }
+  return [...files].sort();
+}
+
+async function copyTemplate(name, projectPath, variables = {}, extraLayers = []) {
+  const template = getTemplate(name);
+  if (!template) {
+    throw new Error(`Unknown template "${name}"`);
+  }
+
+  await fs.ensureDir(projectPath);
+  for (const layer of [...template.layers, ...extraLayers]) {
+    await copyLayer(path.join(TEMPLATES_DIR, layer), projectPath, { alithVersion: ALITH_VERSION, ...variables });
+  }
+}
+
+module.exports = {
+  ALITH_VERSION,
+  EXTRA_LAYERS,
+  LANGUAGES,
+  templates,
+  getTemplate,
+  getTemplateNames,
+  getLanguageNames,
+  copyTemplate,
+  listTemplateFiles,
+  renderContent,
+  renderTemplateFile
+};
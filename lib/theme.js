@@ -0,0 +1,59 @@
+// Title, brand color and color mode of the React chat UI. The title and mode are written to
+// alith.config.json, the colors to src/theme.css, where tailwind.config.js picks them up.
+const { DEFAULT_ASSISTANT_NAME, toJsonString } = require('./assistant');
+
+const DEFAULT_BRAND_COLOR = '#1f2937';
+
+const COLOR_MODES = {
+  system: { title: 'Follow the system setting' },
+  light: { title: 'Light' },
+  dark: { title: 'Dark' }
+};
+
+const DEFAULT_COLOR_MODE = 'system';
+
+// Text on the brand color, whichever of these reads better on it
+const LIGHT_TEXT = '#ffffff';
+const DARK_TEXT = '#111827';
+
+function isHexColor(value) {
+  return /^#(?:[0-9a-f]{3}){1,2}$/i.test(value);
+}
+
+// Relative luminance as defined by WCAG, from 0 for black to 1 for white
+function getLuminance(hex) {
+  const digits = hex.length === 4 ? hex.slice(1).replace(/./g, '$&$&') : hex.slice(1);
+  const [r, g, b] = [0, 2, 4].map(index => {
+    const channel = parseInt(digits.slice(index, index + 2), 16) / 255;
+    return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function getContrastColor(hex) {
+  const contrast = (a, b) => (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+  const luminance = getLuminance(hex);
+  return contrast(luminance, getLuminance(LIGHT_TEXT)) >= contrast(luminance, getLuminance(DARK_TEXT)) ? LIGHT_TEXT : DARK_TEXT;
+}
+
+const toHtml = value => String(value).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+
+// Placeholders substituted into alith.config.json, index.html and src/theme.css.
+// The title defaults to the assistant's name, which the chat header showed before.
+function getThemeVariables({ title = DEFAULT_ASSISTANT_NAME, brandColor = DEFAULT_BRAND_COLOR, colorMode = DEFAULT_COLOR_MODE } = {}) {
+  return {
+    appTitle: toJsonString(title),
+    pageTitle: toHtml(title),
+    brandColor: brandColor.toLowerCase(),
+    brandContrastColor: getContrastColor(brandColor),
+    colorMode
+  };
+}
+
+module.exports = {
+  DEFAULT_BRAND_COLOR,
+  DEFAULT_COLOR_MODE,
+  COLOR_MODES,
+  isHexColor,
+  getThemeVariables
+};
@@ -0,0 +1,19 @@
+import 'dotenv/config';
+import express from 'express';
+import cors from 'cors';
+import alithChat from './routes/alith-chat.mjs';
+import { corsOptions } from './routes/alith-security.mjs';
+
+const app = express();
+const port = Number(process.env.PORT) || 3001;
+
+app.use(cors(corsOptions));
+app.use(alithChat);
+
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok', message: 'Alith AI server is running' });
+});
+
+app.listen(port, () => {
+  console.log(`Alith AI server running at http://localhost:${port}`);
+});
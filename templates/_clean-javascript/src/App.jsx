@@ -0,0 +1,15 @@
+import config from '../alith.config.json'
+import ChatWidget from './components/ChatWidget'
+
+// Your app's page. The chat opens from the button in the bottom right corner.
+function App() {
+  return (
+    <main className="min-h-screen flex flex-col items-center justify-center gap-2 p-8 text-center bg-surface-muted text-content">
+      <h1 className="text-3xl font-bold">{config.title}</h1>
+      <p className="text-content-muted">{config.subtitle}</p>
+      <ChatWidget />
+    </main>
+  )
+}
+
+export default App
@@ -0,0 +1,17 @@
+// {{description}}
+export const {{exportName}} = {
+  name: '{{toolName}}',
+  description: '{{descriptionString}}',
+  // JSON Schema for the arguments. The handler receives them in the order listed here.
+  parameters: {
+    type: 'object',
+    properties: {
+      input: { type: 'string', description: 'What the tool should work with' },
+    },
+    required: ['input'],
+  },
+  async handler(input) {
+    // Whatever is returned is sent back to the model as JSON
+    return { input };
+  },
+};
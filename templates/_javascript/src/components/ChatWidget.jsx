@@ -0,0 +1,39 @@
+import { useState } from 'react';
+import ChatInterface from './ChatInterface';
+
+// The floating chat button and the chat it opens, on the demo page and in the embeddable widget.
+// endpoint, title and colorMode are passed on to ChatInterface.
+const ChatWidget = ({ endpoint, title, colorMode }) => {
+  const [isChatOpen, setIsChatOpen] = useState(false);
+
+  return (
+    <>
+      {/* Chat Icon */}
+      {!isChatOpen && (
+        <button
+          onClick={() => setIsChatOpen(true)}
+          aria-label="Open chat"
+          className="fixed bottom-4 right-4 sm:bottom-6 sm:right-6 w-14 h-14 sm:w-16 sm:h-16 bg-brand hover:opacity-90 rounded-full shadow-2xl hover:shadow-3xl transition-all duration-300 hover:scale-110 z-50 flex items-center justify-center group"
+        >
+          <svg className="w-6 h-6 sm:w-8 sm:h-8 text-brand-contrast group-hover:scale-110 transition-transform " fill="none" stroke="currentColor" viewBox="0 0 24 24" strokeWidth={2}>
+            <path strokeLinecap="round" strokeLinejoin="round" d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4-8 9-8s9 3.582 9 8z" />
+          </svg>
+
+          {/* Pulse Animation */}
+          <div className="absolute inset-0 rounded-full bg-brand opacity-50 animate-ping"></div>
+        </button>
+      )}
+
+      {/* Chat Interface */}
+      <ChatInterface
+        isOpen={isChatOpen}
+        onClose={() => setIsChatOpen(false)}
+        endpoint={endpoint}
+        title={title}
+        colorMode={colorMode}
+      />
+    </>
+  );
+};
+
+export default ChatWidget;
@@ -0,0 +1,30 @@
+import { useEffect, useState } from 'react';
+
+// Copies text to the clipboard, confirming with "Copied!" for a moment
+const CopyButton = ({ text, label, className = '' }) => {
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (!copied) return;
+    const timer = setTimeout(() => setCopied(false), 2000);
+    return () => clearTimeout(timer);
+  }, [copied]);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+    } catch (error) {
+      // The clipboard API needs a secure context (https or localhost)
+      console.error('Could not copy to the clipboard:', error);
+    }
+  };
+
+  return (
+    <button type="button" onClick={handleCopy} aria-label={label} title={label} className={`text-xs transition-colors ${className}`}>
+      {copied ? 'Copied!' : 'Copy'}
+    </button>
+  );
+};
+
+export default CopyButton;
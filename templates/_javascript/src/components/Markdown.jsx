@@ -0,0 +1,67 @@
+import React from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import rehypeHighlight from 'rehype-highlight';
+import 'highlight.js/styles/github-dark.css';
+import CopyButton from './CopyButton';
+
+// The text inside rendered children, e.g. a code block after highlighting split it into spans
+const getText = (node) => {
+  if (typeof node === 'string' || typeof node === 'number') return String(node);
+  if (Array.isArray(node)) return node.map(getText).join('');
+  if (React.isValidElement(node)) return getText(node.props.children);
+  return '';
+};
+
+const components = {
+  // Links open in a new tab without giving it access to this page. Unsafe URLs arrive
+  // emptied by react-markdown and are shown as plain text.
+  a: ({ children, href }) => href ? (
+    <a href={href} target="_blank" rel="noopener noreferrer" className="text-accent hover:text-accent-strong underline break-words">
+      {children}
+    </a>
+  ) : (
+    <span>{children}</span>
+  ),
+  pre: ({ children }) => {
+    const code = React.isValidElement(children) ? children : null;
+    const language = code?.props.className?.match(/language-([\w-]+)/)?.[1];
+    return (
+      <div className="my-2 rounded-lg overflow-hidden bg-[#0d1117] text-gray-100">
+        <div className="flex items-center justify-between px-3 py-1 bg-gray-700 text-gray-300">
+          <span className="text-xs font-mono">{language ?? 'code'}</span>
+          <CopyButton text={getText(children).replace(/\n$/, '')} label="Copy code" className="hover:text-white" />
+        </div>
+        <pre className="p-3 overflow-x-auto text-xs leading-relaxed [&>code]:!p-0 [&>code]:!bg-transparent">{children}</pre>
+      </div>
+    );
+  },
+  table: ({ children }) => (
+    <div className="my-2 overflow-x-auto">
+      <table className="border-collapse text-left">{children}</table>
+    </div>
+  ),
+  th: ({ children }) => <th className="border border-line bg-surface-strong px-2 py-1 font-semibold">{children}</th>,
+  td: ({ children }) => <td className="border border-line px-2 py-1">{children}</td>,
+  ul: ({ children }) => <ul className="my-2 pl-5 list-disc space-y-1">{children}</ul>,
+  ol: ({ children }) => <ol className="my-2 pl-5 list-decimal space-y-1">{children}</ol>,
+  p: ({ children }) => <p className="my-2 first:mt-0 last:mb-0">{children}</p>,
+  h1: ({ children }) => <h1 className="my-2 text-base font-bold">{children}</h1>,
+  h2: ({ children }) => <h2 className="my-2 text-sm font-bold">{children}</h2>,
+  h3: ({ children }) => <h3 className="my-2 font-semibold">{children}</h3>,
+  blockquote: ({ children }) => <blockquote className="my-2 pl-3 border-l-4 border-line text-content-muted">{children}</blockquote>,
+};
+
+// Renders model output as GitHub-flavored Markdown with highlighted code blocks.
+// ChatInterface loads it lazily, as the highlighter is most of the chat's bundle size.
+// Raw HTML in the text is escaped rather than rendered, and react-markdown drops
+// javascript: and other unsafe URLs, so replies can't inject markup or scripts.
+const Markdown = ({ text }) => (
+  <div className="text-xs sm:text-sm leading-relaxed break-words [&_:not(pre)>code]:px-1 [&_:not(pre)>code]:py-0.5 [&_:not(pre)>code]:rounded [&_:not(pre)>code]:bg-surface-strong [&_:not(pre)>code]:font-mono [&_:not(pre)>code]:text-[0.9em]">
+    <ReactMarkdown remarkPlugins={[remarkGfm]} rehypePlugins={[rehypeHighlight]} components={components}>
+      {text}
+    </ReactMarkdown>
+  </div>
+);
+
+export default Markdown;
@@ -0,0 +1,50 @@
+// @vitest-environment jsdom
+import '@testing-library/jest-dom/vitest';
+import { cleanup, fireEvent, render, screen } from '@testing-library/react';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import Markdown from './Markdown';
+
+afterEach(() => {
+  cleanup();
+  vi.restoreAllMocks();
+});
+
+describe('Markdown', () => {
+  it('renders lists, tables and inline formatting', () => {
+    render(<Markdown text={'Steps:\n\n1. **Install**\n2. Run `npm start`\n\n| Plan | Price |\n| --- | --- |\n| Free | $0 |'} />);
+
+    expect(screen.getAllByRole('listitem')).toHaveLength(2);
+    expect(screen.getByText('Install').tagName).toBe('STRONG');
+    expect(screen.getByText('npm start').tagName).toBe('CODE');
+    expect(screen.getByRole('table')).toHaveTextContent('Free');
+  });
+
+  it('highlights code blocks and copies their code', async () => {
+    const writeText = vi.fn(async () => {});
+    Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+
+    const { container } = render(<Markdown text={'```js\nconst answer = 42;\n```'} />);
+
+    expect(screen.getByText('js')).toBeInTheDocument();
+    expect(container.querySelector('code.hljs .hljs-keyword')).toHaveTextContent('const');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Copy code' }));
+
+    expect(writeText).toHaveBeenCalledWith('const answer = 42;');
+    expect(await screen.findByText('Copied!')).toBeInTheDocument();
+  });
+
+  it('shows raw HTML as text instead of rendering it', () => {
+    const { container } = render(<Markdown text={'<img src="x" onerror="alert(1)"> <script>alert(2)</script>'} />);
+
+    expect(container.querySelector('img, script')).toBeNull();
+  });
+
+  it('opens links in a new tab and drops unsafe URLs', () => {
+    render(<Markdown text={'[Docs](https://example.com) and [click me](javascript:alert(1))'} />);
+
+    expect(screen.getByRole('link', { name: 'Docs' })).toHaveAttribute('target', '_blank');
+    expect(screen.getByRole('link', { name: 'Docs' })).toHaveAttribute('rel', 'noopener noreferrer');
+    expect(screen.getByText('click me').closest('a')).toBeNull();
+  });
+});
@@ -0,0 +1,48 @@
+import { StrictMode } from 'react'
+import { createRoot } from 'react-dom/client'
+// Tailwind and the code theme as a string, to be added to the shadow root instead of the page
+import styles from './widget.css?inline'
+import ChatWidget from './components/ChatWidget'
+
+// The built bundle is usually served by the Alith server itself, at /widget/alith-chat.js,
+// so that origin is the best guess for the API. It is only known while the script first runs.
+const scriptOrigin = document.currentScript instanceof HTMLScriptElement && document.currentScript.src
+  ? new URL(document.currentScript.src).origin
+  : ''
+
+// Adds the chat button to the page, in a shadow root so the page's CSS and the widget's
+// Tailwind styles can't affect each other. `vite build --config vite.widget.config.js`
+// bundles this as a script that exposes it as AlithChat.mount().
+//   endpoint  base URL of the Alith server, e.g. https://chat.example.com. Defaults to where this script was loaded from.
+//   title     shown in the chat header, the title from alith.config.json unless given
+//   theme     { brandColor, brandContrastColor, mode }: any CSS colors for the header, buttons and the
+//             user's messages and the text on them, and 'light', 'dark' or 'system' until the user
+//             picks a mode with the toggle. They default to the project's theme.
+// Returns { unmount }, which removes the widget from the page again.
+export function mount({ endpoint = scriptOrigin, title, theme = {} } = {}) {
+  const host = document.createElement('div')
+  host.dataset.alithChat = ''
+  if (theme.brandColor) host.style.setProperty('--alith-brand', theme.brandColor)
+  if (theme.brandContrastColor) host.style.setProperty('--alith-brand-contrast', theme.brandContrastColor)
+  document.body.appendChild(host)
+
+  const shadowRoot = host.attachShadow({ mode: 'open' })
+  const style = document.createElement('style')
+  style.textContent = styles
+  const container = document.createElement('div')
+  shadowRoot.append(style, container)
+
+  const root = createRoot(container)
+  root.render(
+    <StrictMode>
+      <ChatWidget endpoint={endpoint.replace(/\/+$/, '')} title={title} colorMode={theme.mode} />
+    </StrictMode>,
+  )
+
+  return {
+    unmount() {
+      root.unmount()
+      host.remove()
+    },
+  }
+}
@@ -0,0 +1,33 @@
+import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react'
+
+// Stylesheets imported for their side effects, like the code theme in Markdown.jsx, would end up
+// in a separate file on the host page. widget.css already has them, inside the shadow root.
+const skipStylesheets = () => ({
+  name: 'skip-stylesheets',
+  enforce: 'pre',
+  load(id) {
+    if (id.endsWith('.css')) return ''
+  },
+})
+
+// Builds the embeddable chat widget: one script, dist/widget/alith-chat.js, with React,
+// the styles and the Markdown renderer included, that defines window.AlithChat.
+// See public/widget-demo.html for how a page embeds it.
+export default defineConfig({
+  plugins: [react(), skipStylesheets()],
+  // React checks process.env.NODE_ENV, which only exists in Node
+  define: {
+    'process.env.NODE_ENV': JSON.stringify('production'),
+  },
+  publicDir: false,
+  build: {
+    outDir: 'dist/widget',
+    lib: {
+      entry: 'src/widget.jsx',
+      name: 'AlithChat',
+      formats: ['iife'],
+      fileName: () => 'alith-chat.js',
+    },
+  },
+})
@@ -0,0 +1,44 @@
+import 'dotenv/config';
+import express from 'express';
+import cors from 'cors';
+import fs from 'node:fs';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import chatRouter from './routes/chat.js';
+import { corsOptions } from './routes/security.js';
+
+const app = express();
+const port = Number(process.env.PORT) || 3001;
+
+// Behind a load balancer or reverse proxy, e.g. TRUST_PROXY=1 for one hop, so rate limits
+// apply to the client's address rather than the proxy's
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
+app.disable('x-powered-by');
+app.use(cors(corsOptions));
+app.use(chatRouter);
+
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok', message: 'Alith AI server is running' });
+});
+
+// After a build, the frontend is served from here too, so the app runs as a single process.
+// Page URLs the API doesn't handle get index.html, leaving routing to the frontend.
+const distDir = fileURLToPath(new URL('./dist/', import.meta.url));
+if (fs.existsSync(`${distDir}index.html`)) {
+  app.use(express.static(distDir));
+  app.get('*', (req, res, next) => {
+    if (req.path.startsWith('/api/') || !req.accepts('html')) return next();
+    res.sendFile('index.html', { root: distDir });
+  });
+}
+
+// Only listen when started with `node server.js`, so tests can import the app
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  app.listen(port, () => {
+    console.log(`Alith AI server running at http://localhost:${port}`);
+  });
+}
+
+export default app;
@@ -0,0 +1,106 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+// The server with mock responses (ALITH_MOCK pointing at a script), as created with
+// --provider mock. The settings are in place before the server is imported, as it reads
+// them on import, and pinned so a local .env can't change them.
+const script = [
+  'Hello from the mock',
+  { match: 'math', tools: [{ name: 'calculator', args: { expression: '6*7' }, result: { result: 42 } }], response: "It's 42." },
+  { match: 'fail', error: 'Simulated failure' },
+];
+
+let scriptDir;
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  scriptDir = await fs.mkdtemp(path.join(os.tmpdir(), 'alith-mock-'));
+  const scriptPath = path.join(scriptDir, 'mock-responses.json');
+  await fs.writeFile(scriptPath, JSON.stringify(script));
+  Object.assign(process.env, {
+    ALITH_MOCK: scriptPath,
+    ALITH_MOCK_LATENCY: '0',
+    ALITH_MOCK_TOKEN_DELAY: '0',
+    CHAT_API_TOKEN: '',
+    RATE_LIMIT_MAX: '0',
+  });
+
+  const { default: app } = await import('./server.js');
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+afterAll(async () => {
+  server.close();
+  await fs.rm(scriptDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+const post = (route, body) =>
+  fetch(`${baseUrl}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+// The `data:` events of a Server-Sent Events response
+const readEvents = async (response) =>
+  (await response.text())
+    .split('\n\n')
+    .filter(Boolean)
+    .map((event) => JSON.parse(event.replace(/^data: /, '')));
+
+describe('POST /api/chat/stream', () => {
+  it('streams the reply token by token and ends with done', async () => {
+    const response = await post('/api/chat/stream', { message: 'Hi' });
+    const events = await readEvents(response);
+
+    expect(response.headers.get('Content-Type')).toMatch(/^text\/event-stream/);
+    const tokens = events.flatMap((event) => (event.type === 'token' ? [event.content] : []));
+    expect(tokens.length).toBeGreaterThan(1);
+    expect(tokens.join('')).toBe('Hello from the mock');
+    expect(events.at(-1)).toEqual({ type: 'done' });
+  });
+
+  it('streams scripted tool calls before the response', async () => {
+    const events = await readEvents(await post('/api/chat/stream', { message: 'Do some math' }));
+    const toolIndex = events.findIndex((event) => event.type === 'tool');
+
+    expect(events[toolIndex]).toEqual({ type: 'tool', name: 'calculator', args: { expression: '6*7' }, result: { result: 42 } });
+    expect(events.findIndex((event) => event.type === 'token')).toBeGreaterThan(toolIndex);
+  });
+
+  it('sends an error event, without the scripted error, when the reply fails', async () => {
+    const response = await post('/api/chat/stream', { message: 'Please fail' });
+    const events = await readEvents(response);
+
+    expect(events).toEqual([{ type: 'error', error: 'Failed to get AI response', requestId: response.headers.get('X-Request-Id') }]);
+  });
+
+  it('rejects requests without a message before streaming', async () => {
+    const response = await post('/api/chat/stream', { message: ' ' });
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({ error: 'Message is required' });
+  });
+});
+
+describe('POST /api/chat', () => {
+  it('returns the scripted reply and its tool calls', async () => {
+    const response = await post('/api/chat', { message: 'More math' });
+
+    expect(await response.json()).toMatchObject({
+      response: "It's 42.",
+      toolCalls: [{ name: 'calculator', args: { expression: '6*7' }, result: { result: 42 } }],
+    });
+  });
+});
@@ -0,0 +1,356 @@
+import { Agent, WindowBufferMemory, type AgentOptions, type Tool } from 'alith';
+import express from 'express';
+import fs from 'node:fs';
+import { createMockResponder } from './mock.js';
+import * as retrieval from './retrieval.js';
+import { MAX_BODY_SIZE, assignRequestId, handleErrors, rateLimit, requireToken, validateChatRequest } from './security.js';
+import toolList from '../tools/index.js';
+import type { ChatRequest, ChatResponse, ChatStreamEvent, Source, ToolCall } from '../shared/chat.js';
+
+// Chat endpoints, mounted by server.js. Parses its own JSON bodies and applies its own
+// limits (imported above) so it can be dropped into any Express app.
+const router = express.Router();
+router.use('/api', assignRequestId);
+router.use(retrieval.retrievalRouter);
+router.use('/api/chat', rateLimit(), requireToken, express.json({ limit: MAX_BODY_SIZE }));
+
+// Conversation context limits, overridable from .env
+const MAX_TURNS = Number(process.env.CHAT_MAX_TURNS) || 10;
+const MAX_HISTORY_TOKENS = Number(process.env.CHAT_MAX_HISTORY_TOKENS) || 4000;
+const MAX_SESSIONS = 1000;
+// Model -> tools -> model round trips allowed per message when streaming
+const MAX_TOOL_ROUNDS = 5;
+
+// Assistant persona and model settings, shared with the chat UI. Read from the project
+// root, where the server runs from both with tsx and compiled to build/.
+interface AlithConfig {
+  name: string;
+  model: string;
+  preamble: string;
+  temperature?: number;
+}
+const config: AlithConfig = JSON.parse(fs.readFileSync('alith.config.json', 'utf8'));
+
+// Tools and retrieval are plain JavaScript modules, which the build compiles along with
+// the server. These are the shapes the routes rely on.
+type AgentTool = Tool & { parameters: { properties?: Record<string, unknown> } };
+const tools = toolList as AgentTool[];
+const retrieve: (message: string) => Promise<{ context: string; sources: Source[] }> = retrieval.retrieve;
+
+interface HistoryEntry {
+  role: 'user' | 'assistant' | 'system';
+  content: string;
+}
+
+const agentOptions: AgentOptions = {
+  name: config.name,
+  model: config.model,
+  apiKey: process.env.{{apiKeyEnv}},
+  baseUrl: "{{baseUrl}}",
+  preamble: config.preamble,
+};
+
+// Initialize Alith agent
+const agent = new Agent(agentOptions);
+
+// ALITH_MOCK replaces the model with mock responses, see routes/mock.js
+const mock = process.env.ALITH_MOCK ? createMockResponder(process.env.ALITH_MOCK) : null;
+
+// Projects created with the mock provider have no key to warn about
+const API_KEY_REQUIRED = {{apiKeyRequired}};
+
+if (mock) {
+  console.log('ALITH_MOCK is set, replying with mock responses instead of calling the model');
+} else if (API_KEY_REQUIRED && !agentOptions.apiKey) {
+  console.warn('{{apiKeyEnv}} is not set. Add it to .env, or set ALITH_MOCK=1 to develop without an API key.');
+}
+
+// Conversation history per conversation id, most recently used last
+const sessions = new Map<string, HistoryEntry[]>();
+
+// Rough token estimate, good enough to keep the context window bounded
+const estimateTokens = (text: string) => Math.ceil(text.length / 4);
+
+function getHistory(conversationId?: string): HistoryEntry[] {
+  return (conversationId && sessions.get(conversationId)) || [];
+}
+
+function saveTurn(conversationId: string | undefined, userMessage: string, aiMessage: string) {
+  if (!conversationId) return;
+
+  const turn: HistoryEntry[] = [
+    { role: 'user', content: userMessage },
+    { role: 'assistant', content: aiMessage },
+  ];
+  let history = [...getHistory(conversationId), ...turn].slice(-MAX_TURNS * 2);
+
+  // Drop the oldest turns until the history fits the token budget
+  while (history.length > 2 && history.reduce((total, entry) => total + estimateTokens(entry.content), 0) > MAX_HISTORY_TOKENS) {
+    history = history.slice(2);
+  }
+
+  sessions.delete(conversationId);
+  sessions.set(conversationId, history);
+
+  if (sessions.size > MAX_SESSIONS) {
+    sessions.delete(sessions.keys().next().value!);
+  }
+}
+
+// Tools receive their arguments positionally, in the order of their parameters' properties
+const argumentNames = (tool: AgentTool) => Object.keys(tool.parameters?.properties ?? {});
+
+async function runTool(name: string, argumentsJson: string): Promise<ToolCall> {
+  const tool = tools.find((entry) => entry.name === name);
+  let args: Record<string, unknown> = {};
+  try {
+    args = JSON.parse(argumentsJson || '{}');
+    if (!tool) throw new Error(`Unknown tool "${name}"`);
+    return { name, args, result: await tool.handler(...argumentNames(tool).map((key) => args[key])) };
+  } catch (error) {
+    return { name, args, result: { error: (error as Error).message } };
+  }
+}
+
+// Alith keeps context in a Memory, so each request gets an agent primed with its conversation.
+// Its tools are wrapped to record each call, which the chat shows alongside the answer.
+// Retrieved context goes in front of the message, as the agent only takes a single prompt.
+async function promptAgent(message: string, history: HistoryEntry[], context = ''): Promise<Omit<ChatResponse, 'sources'>> {
+  if (mock) {
+    return mock.reply([...history, { role: 'user', content: message }]);
+  }
+
+  const prompt = context ? `${context}\n\nQuestion: ${message}` : message;
+  if (history.length === 0 && tools.length === 0) {
+    return { response: await agent.prompt(prompt), toolCalls: [] };
+  }
+
+  const toolCalls: ToolCall[] = [];
+  const trackedTools = tools.map((tool): Tool => {
+    const names = argumentNames(tool);
+    const call = async (values: unknown[]) => {
+      const result = await tool.handler(...values);
+      toolCalls.push({ name: tool.name, args: Object.fromEntries(names.map((key, i) => [key, values[i]])), result });
+      return result;
+    };
+    // Alith passes the values in the order the model sent them, which needn't be the schema's.
+    // Several parameters are nested in one object instead, and passed on by name.
+    if (names.length < 2) {
+      return { ...tool, handler: (...values: unknown[]) => call(values) };
+    }
+    return {
+      ...tool,
+      parameters: { type: 'object', properties: { arguments: tool.parameters }, required: ['arguments'] } as Tool['parameters'],
+      handler: (args?: unknown) => call(names.map((key) => (args as Record<string, unknown> | undefined)?.[key])),
+    };
+  });
+
+  let memory: WindowBufferMemory | undefined;
+  if (history.length > 0) {
+    memory = new WindowBufferMemory(history.length);
+    for (const entry of history) memory.addMessage(entry);
+  }
+  const response = await new Agent({ ...agentOptions, memory, tools: trackedTools }).prompt(prompt);
+  return { response, toolCalls };
+}
+
+// Parsed `data:` payloads of an OpenAI-compatible SSE response, up to [DONE]
+async function* readEvents(body: ReadableStream<Uint8Array>) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop() ?? '';
+
+    for (const line of lines) {
+      const data = line.replace(/^data:\s*/, '').trim();
+      if (!line.startsWith('data:') || !data) continue;
+      if (data === '[DONE]') return;
+      yield JSON.parse(data);
+    }
+  }
+}
+
+// Alith's Agent returns whole responses, so streaming talks to the provider's
+// OpenAI-compatible endpoint directly. Yields { type: 'token', content } as text
+// arrives and { type: 'tool', name, args, result } for each tool the model calls.
+// A tool call of the model, as its fragments add up
+interface PendingToolCall {
+  id: string;
+  name: string;
+  arguments: string;
+}
+
+async function* streamCompletion(messages: HistoryEntry[], signal: AbortSignal): AsyncGenerator<ChatStreamEvent> {
+  if (mock) {
+    yield* mock.stream(messages, signal);
+    return;
+  }
+
+  const conversation: object[] = config.preamble ? [{ role: 'system', content: config.preamble }, ...messages] : [...messages];
+  const toolDefinitions = tools.map(({ name, description, parameters }) => ({
+    type: 'function',
+    function: { name, description, parameters },
+  }));
+
+  for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+    const response = await fetch(`${agent.baseUrl()}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${agent.apiKey()}`,
+      },
+      body: JSON.stringify({
+        model: agent.model(),
+        messages: conversation,
+        // Alith's Agent has no temperature option, so only streamed answers use it
+        temperature: config.temperature,
+        stream: true,
+        // Out of rounds, the model has to answer with what it has
+        ...(toolDefinitions.length > 0 && round < MAX_TOOL_ROUNDS && { tools: toolDefinitions }),
+      }),
+      signal,
+    });
+
+    if (!response.ok || !response.body) {
+      throw new Error(`Provider responded with ${response.status}: ${response.statusText}`);
+    }
+
+    // Tool calls arrive in fragments, keyed by index
+    const calls: PendingToolCall[] = [];
+    for await (const event of readEvents(response.body)) {
+      const delta = event.choices?.[0]?.delta;
+      if (delta?.content) yield { type: 'token', content: delta.content };
+
+      for (const fragment of delta?.tool_calls ?? []) {
+        const call = (calls[fragment.index ?? 0] ??= { id: '', name: '', arguments: '' });
+        call.id ||= fragment.id ?? '';
+        call.name += fragment.function?.name ?? '';
+        call.arguments += fragment.function?.arguments ?? '';
+      }
+    }
+
+    if (calls.length === 0) return;
+
+    conversation.push({
+      role: 'assistant',
+      content: null,
+      tool_calls: calls.map(({ id, name, arguments: args }) => ({ id, type: 'function', function: { name, arguments: args } })),
+    });
+    for (const call of calls) {
+      const toolCall = await runTool(call.name, call.arguments);
+      yield { type: 'tool', ...toolCall };
+      conversation.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(toolCall.result) });
+    }
+  }
+}
+
+router.post('/api/chat', async (req, res) => {
+  try {
+    const invalid = validateChatRequest(req.body);
+    if (invalid) {
+      res.status(400).json({ error: invalid });
+      return;
+    }
+
+    const { message, conversationId }: ChatRequest = req.body;
+    console.log(`[${req.id}] Received message:`, message);
+
+    // Use Alith agent to get response
+    const { context, sources } = await retrieve(message);
+    const { response, toolCalls } = await promptAgent(message, getHistory(conversationId), context);
+    saveTurn(conversationId, message, response);
+
+    console.log(`[${req.id}] AI response:`, response);
+
+    res.json({ response, toolCalls, sources } satisfies ChatResponse);
+  } catch (error) {
+    // Provider errors can include account details, so they stay in the log
+    console.error(`[${req.id}] Error getting AI response:`, error);
+    res.status(500).json({ error: 'Failed to get AI response', requestId: req.id });
+  }
+});
+
+// Streams the response as Server-Sent Events: { type: 'sources' | 'token' | 'tool' | 'done' | 'error' }
+router.post('/api/chat/stream', async (req, res) => {
+  const invalid = validateChatRequest(req.body);
+  if (invalid) {
+    res.status(400).json({ error: invalid });
+    return;
+  }
+
+  const { message, conversationId }: ChatRequest = req.body;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+
+  const send = (event: ChatStreamEvent) => res.write(`data: ${JSON.stringify(event)}\n\n`);
+  const sendError = () => send({ type: 'error', error: 'Failed to get AI response', requestId: req.id });
+
+  // Stop talking to the provider when the client disconnects or presses Stop
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  let context: string;
+  try {
+    const retrieved = await retrieve(message);
+    context = retrieved.context;
+    if (retrieved.sources.length > 0) send({ type: 'sources', sources: retrieved.sources });
+  } catch (error) {
+    console.error(`[${req.id}] Error retrieving context:`, error);
+    sendError();
+    return res.end();
+  }
+
+  // Retrieved context travels as a system message, so the history keeps only what the user typed
+  const history = getHistory(conversationId);
+  const messages: HistoryEntry[] = [...history, ...(context ? [{ role: 'system' as const, content: context }] : []), { role: 'user', content: message }];
+  let response = '';
+  let usedTools = false;
+  try {
+    for await (const event of streamCompletion(messages, controller.signal)) {
+      if (event.type === 'token') response += event.content;
+      if (event.type === 'tool') usedTools = true;
+      send(event);
+    }
+  } catch (error) {
+    if (controller.signal.aborted) {
+      // Keep the partial answer the user already saw as part of the conversation
+      if (response) saveTurn(conversationId, message, response);
+      return;
+    }
+
+    // Falling back would repeat what the user already saw, and mock errors are scripted on purpose
+    if (response || usedTools || mock) {
+      console.error(`[${req.id}] Error while streaming AI response:`, error);
+      sendError();
+      return res.end();
+    }
+
+    // The provider could not stream, fall back to a single Alith response
+    console.warn(`[${req.id}] Streaming unavailable, falling back to agent.prompt:`, (error as Error).message);
+    try {
+      const result = await promptAgent(message, history, context);
+      result.toolCalls.forEach((toolCall) => send({ type: 'tool', ...toolCall }));
+      response = result.response;
+      send({ type: 'token', content: response });
+    } catch (fallbackError) {
+      console.error(`[${req.id}] Error getting AI response:`, fallbackError);
+      sendError();
+      return res.end();
+    }
+  }
+
+  saveTurn(conversationId, message, response);
+  send({ type: 'done' });
+  res.end();
+});
+
+router.use(handleErrors);
+
+export default router;
@@ -0,0 +1,114 @@
+import crypto from 'node:crypto';
+import type { ErrorRequestHandler, RequestHandler } from 'express';
+import type { CorsOptions } from 'cors';
+import { validateChatRequest as validateRequestBody } from '../shared/chat.js';
+
+// Limits and access control for the API, configured from .env:
+//   CORS_ORIGINS          comma-separated origins that may call the API from a browser, or * for any.
+//                         Unset, only pages served from the same origin can (the dev server proxies /api).
+//   CHAT_API_TOKEN        when set, chat requests need Authorization: Bearer <token> or X-API-Key: <token>
+//   RATE_LIMIT_MAX        chat requests allowed per client IP and window (default 20, 0 turns it off)
+//   RATE_LIMIT_WINDOW_MS  length of the rate limit window (default 60000)
+//   MAX_BODY_SIZE         largest JSON body accepted (default 32kb)
+//   MAX_MESSAGE_LENGTH    longest message accepted, in characters (default 4000)
+
+const CORS_ORIGINS = (process.env.CORS_ORIGINS ?? '').split(',').map((origin) => origin.trim()).filter(Boolean);
+const CHAT_API_TOKEN = process.env.CHAT_API_TOKEN ?? '';
+const RATE_LIMIT_MAX = Number(process.env.RATE_LIMIT_MAX ?? 20);
+const RATE_LIMIT_WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_MS ?? 60_000);
+
+export const MAX_BODY_SIZE = process.env.MAX_BODY_SIZE || '32kb';
+export const MAX_MESSAGE_LENGTH = Number(process.env.MAX_MESSAGE_LENGTH ?? 4000);
+
+// Every API request gets an id, see assignRequestId
+declare module 'express-serve-static-core' {
+  interface Request {
+    id: string;
+  }
+}
+
+// Options for the cors middleware. Origins that aren't listed get no CORS headers, so browsers block them.
+export const corsOptions: CorsOptions = {
+  origin: CORS_ORIGINS.includes('*') ? true : CORS_ORIGINS,
+};
+
+// Every API response carries an id that is also in the server log, so a user can report
+// it and the full error can be found without sending its details to the client
+export const assignRequestId: RequestHandler = (req, res, next) => {
+  req.id = crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+  next();
+};
+
+// Requests per client IP in fixed windows. Behind a proxy, set TRUST_PROXY so req.ip is the client's address.
+export function rateLimit({ max = RATE_LIMIT_MAX, windowMs = RATE_LIMIT_WINDOW_MS } = {}): RequestHandler {
+  const clients = new Map<string | undefined, { count: number; resetAt: number }>();
+  let lastSweep = Date.now();
+
+  return (req, res, next) => {
+    if (!max) return next();
+
+    const now = Date.now();
+    // Forget clients whose window has ended, so the map only holds recent ones
+    if (now - lastSweep > windowMs) {
+      clients.forEach((client, ip) => client.resetAt <= now && clients.delete(ip));
+      lastSweep = now;
+    }
+
+    let client = clients.get(req.ip);
+    if (!client || client.resetAt <= now) {
+      client = { count: 0, resetAt: now + windowMs };
+      clients.set(req.ip, client);
+    }
+    client.count++;
+
+    res.setHeader('RateLimit-Limit', max);
+    res.setHeader('RateLimit-Remaining', Math.max(0, max - client.count));
+    res.setHeader('RateLimit-Reset', Math.ceil((client.resetAt - now) / 1000));
+
+    if (client.count > max) {
+      res.setHeader('Retry-After', Math.ceil((client.resetAt - now) / 1000));
+      res.status(429).json({ error: 'Too many requests, please try again later' });
+      return;
+    }
+    next();
+  };
+}
+
+// Hashing first gives both values the same length, which timingSafeEqual requires
+const digest = (value: string) => crypto.createHash('sha256').update(value).digest();
+
+// Checks the shared secret when CHAT_API_TOKEN is set, lets everything through otherwise
+export const requireToken: RequestHandler = (req, res, next) => {
+  if (!CHAT_API_TOKEN) return next();
+
+  const token = req.get('Authorization')?.match(/^Bearer\s+(.+)$/i)?.[1] ?? req.get('X-API-Key') ?? '';
+  if (crypto.timingSafeEqual(digest(token), digest(CHAT_API_TOKEN))) return next();
+
+  res.setHeader('WWW-Authenticate', 'Bearer');
+  res.status(401).json({ error: 'Unauthorized' });
+};
+
+// The reason a chat request body is rejected, or null when it is fine. The checks are
+// shared with the client in shared/chat.ts; the length limit comes from .env.
+export function validateChatRequest(body: unknown): string | null {
+  return validateRequestBody(body, { maxMessageLength: MAX_MESSAGE_LENGTH });
+}
+
+// JSON errors for bodies that are too large or malformed, and a generic 500 for anything
+// else, instead of Express's default HTML page with the stack trace
+export const handleErrors: ErrorRequestHandler = (error, req, res, next) => {
+  if (res.headersSent) return next(error);
+
+  if (error.type === 'entity.too.large') {
+    res.status(413).json({ error: `Request body is too large, the limit is ${MAX_BODY_SIZE}` });
+    return;
+  }
+  if (error.type === 'entity.parse.failed') {
+    res.status(400).json({ error: 'Request body is not valid JSON' });
+    return;
+  }
+
+  console.error(`[${req.id}] Unhandled error:`, error);
+  res.status(500).json({ error: 'Internal server error', requestId: req.id });
+};
@@ -0,0 +1,200 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import express from 'express';
+import type { Server } from 'node:http';
+import type { AddressInfo } from 'node:net';
+import type { AgentOptions } from 'alith';
+import app from './server.js';
+import { rateLimit } from './routes/security.js';
+
+// The Alith agent is replaced with a stub, so the tests need no API key or network.
+// ALITH_MOCK is cleared first, as dotenv never overrides a variable that is already set,
+// and the security settings are pinned so a local .env can't change them.
+const { prompt, addMessage, agentOptions } = vi.hoisted(() => {
+  Object.assign(process.env, {
+    ALITH_MOCK: '',
+    CHAT_API_TOKEN: 'test-token',
+    CORS_ORIGINS: 'https://app.example.com',
+    RATE_LIMIT_MAX: '20',
+    MAX_BODY_SIZE: '32kb',
+    MAX_MESSAGE_LENGTH: '4000',
+  });
+  return { prompt: vi.fn(), addMessage: vi.fn(), agentOptions: [] as AgentOptions[] };
+});
+
+vi.mock('alith', () => ({
+  Agent: class {
+    prompt = prompt;
+    constructor(options: AgentOptions) {
+      agentOptions.push(options);
+    }
+  },
+  WindowBufferMemory: class {
+    addMessage = addMessage;
+  },
+}));
+
+// A tool with two parameters, to check they reach the handler in the schema's order
+vi.mock('./tools/index.js', () => ({
+  default: [{
+    name: 'divide',
+    description: 'Divides a by b',
+    parameters: { type: 'object', properties: { a: { type: 'number' }, b: { type: 'number' } }, required: ['a', 'b'] },
+    handler: (a: number, b: number) => a / b,
+  }],
+}));
+
+let server: Server;
+let baseUrl: string;
+
+beforeAll(async () => {
+  await new Promise<void>((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://localhost:${(server.address() as AddressInfo).port}`;
+});
+
+afterAll(() => {
+  server.close();
+});
+
+beforeEach(() => {
+  prompt.mockReset();
+  addMessage.mockReset();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+const postChat = (body: unknown, headers: Record<string, string> = { Authorization: 'Bearer test-token' }) =>
+  fetch(`${baseUrl}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+  });
+
+describe('GET /health', () => {
+  it('reports the server as running', async () => {
+    const response = await fetch(`${baseUrl}/health`);
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toMatchObject({ status: 'ok' });
+  });
+});
+
+describe('POST /api/chat', () => {
+  it('rejects requests without a message', async () => {
+    const response = await postChat({});
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({ error: 'Message is required' });
+    expect(prompt).not.toHaveBeenCalled();
+  });
+
+  it('returns the agent response', async () => {
+    prompt.mockResolvedValue('Hello from Alith');
+
+    const response = await postChat({ message: 'Hi' });
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ response: 'Hello from Alith', toolCalls: [], sources: [] });
+    expect(prompt).toHaveBeenCalledWith('Hi');
+  });
+
+  it('primes the agent with the earlier turns of the same conversation', async () => {
+    prompt.mockResolvedValueOnce('Nice to meet you, Sam').mockResolvedValueOnce('Your name is Sam');
+
+    await postChat({ message: 'I am Sam', conversationId: 'history-test' });
+    expect(addMessage).not.toHaveBeenCalled();
+
+    const response = await postChat({ message: 'What is my name?', conversationId: 'history-test' });
+
+    expect(await response.json()).toMatchObject({ response: 'Your name is Sam' });
+    expect(addMessage.mock.calls.map(([entry]) => entry)).toEqual([
+      { role: 'user', content: 'I am Sam' },
+      { role: 'assistant', content: 'Nice to meet you, Sam' },
+    ]);
+
+    // Other conversations start from scratch
+    addMessage.mockClear();
+    prompt.mockResolvedValueOnce('Hello');
+    await postChat({ message: 'Hi', conversationId: 'other-conversation' });
+    expect(addMessage).not.toHaveBeenCalled();
+  });
+
+  it('passes tool arguments in the schema\'s order, whatever order the model sends them in', async () => {
+    prompt.mockImplementation(async () => {
+      // Like Alith: the handler gets the values of the arguments the model sent, in the model's order
+      const divide = agentOptions.at(-1)!.tools!.find((tool) => tool.name === 'divide')!;
+      const sent = JSON.parse('{"arguments":{"b":4,"a":12}}');
+      return `It's ${await divide.handler(...Object.values(sent))}.`;
+    });
+
+    const response = await postChat({ message: 'What is 12 divided by 4?' });
+
+    expect(await response.json()).toMatchObject({
+      response: "It's 3.",
+      toolCalls: [{ name: 'divide', args: { a: 12, b: 4 }, result: 3 }],
+    });
+  });
+
+  it('responds with 500 and a request id, without the provider error, when the agent fails', async () => {
+    prompt.mockRejectedValue(new Error('Invalid API key sk-secret'));
+
+    const response = await postChat({ message: 'Hi' });
+    const body = await response.json();
+
+    expect(response.status).toBe(500);
+    expect(body).toEqual({ error: 'Failed to get AI response', requestId: response.headers.get('X-Request-Id') });
+    expect(JSON.stringify(body)).not.toContain('sk-secret');
+  });
+
+  it('rejects messages over the length limit', async () => {
+    const response = await postChat({ message: 'a'.repeat(4001) });
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({ error: 'Message is too long, the limit is 4000 characters' });
+    expect(prompt).not.toHaveBeenCalled();
+  });
+
+  it('rejects bodies over the size limit and malformed JSON', async () => {
+    const tooLarge = await postChat({ message: 'Hi', padding: 'a'.repeat(40_000) });
+    expect(tooLarge.status).toBe(413);
+
+    const malformed = await postChat('{"message":');
+    expect(malformed.status).toBe(400);
+    expect(await malformed.json()).toEqual({ error: 'Request body is not valid JSON' });
+  });
+});
+
+describe('API security', () => {
+  it('requires the CHAT_API_TOKEN as a bearer token or X-API-Key', async () => {
+    prompt.mockResolvedValue('Hello from Alith');
+
+    expect((await postChat({ message: 'Hi' }, {})).status).toBe(401);
+    expect((await postChat({ message: 'Hi' }, { Authorization: 'Bearer wrong' })).status).toBe(401);
+    expect((await postChat({ message: 'Hi' }, { 'X-API-Key': 'test-token' })).status).toBe(200);
+  });
+
+  it('only allows the configured CORS origins', async () => {
+    const allowed = await fetch(`${baseUrl}/health`, { headers: { Origin: 'https://app.example.com' } });
+    const other = await fetch(`${baseUrl}/health`, { headers: { Origin: 'https://other.example.com' } });
+
+    expect(allowed.headers.get('Access-Control-Allow-Origin')).toBe('https://app.example.com');
+    expect(other.headers.get('Access-Control-Allow-Origin')).toBeNull();
+  });
+
+  it('rate limits each client', async () => {
+    const limited = express().use(rateLimit({ max: 2, windowMs: 60_000 })).get('/', (req, res) => res.send('ok'));
+    const limitedServer = await new Promise<Server>((resolve) => {
+      const listening = limited.listen(0, () => resolve(listening));
+    });
+    const url = `http://localhost:${(limitedServer.address() as AddressInfo).port}/`;
+
+    const statuses: number[] = [];
+    for (let i = 0; i < 3; i++) statuses.push((await fetch(url)).status);
+    const blocked = await fetch(url);
+    limitedServer.close();
+
+    expect(statuses).toEqual([200, 200, 429]);
+    expect(Number(blocked.headers.get('Retry-After'))).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,96 @@
+import fs from 'node:fs';
+
+// Stands in for the LLM when ALITH_MOCK is set, so the UI can be worked on with
+// no API key and no network:
+//   ALITH_MOCK=1                         canned replies, in turn
+//   ALITH_MOCK=echo                      repeats each message back
+//   ALITH_MOCK=./mock-responses.json     scripted replies, see below
+//
+// A script is a JSON array. Plain strings are replied in order, objects with a
+// "match" regex answer the messages they match, objects with an "error" make the
+// request fail so error states can be tried out, and "tools" lists tool calls to
+// show before the response:
+//   ["Hi there!", { "match": "price", "response": "It's free." }, { "match": "fail", "error": "Simulated failure" },
+//    { "match": "math", "tools": [{ "name": "calculator", "args": { "expression": "6*7" }, "result": { "result": 42 } }], "response": "It's 42." }]
+//
+// ALITH_MOCK_LATENCY (ms before the first token, default 400) and
+// ALITH_MOCK_TOKEN_DELAY (ms between streamed tokens, default 30) simulate a real model.
+
+const CANNED_RESPONSES = [
+  "Hi! I'm a mock response, so no API key or network was needed. Remove ALITH_MOCK from .env to talk to the real model.",
+  'Here is a longer mock answer to check how the chat handles wrapping text. It streams word by word, just like a real model would, so loading states and the Stop button behave the same way.',
+  'Mock responses can also be scripted: point ALITH_MOCK at a JSON file to control exactly what comes back for each message.',
+];
+
+const LATENCY = Number(process.env.ALITH_MOCK_LATENCY ?? 400);
+const TOKEN_DELAY = Number(process.env.ALITH_MOCK_TOKEN_DELAY ?? 30);
+
+// Waits ms, or rejects as soon as the request is aborted. The abort listener is removed
+// when the timer fires, as a streamed reply sleeps once per token on the same signal.
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+function loadScript(file) {
+  try {
+    const script = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(script) || script.length === 0) {
+      throw new Error('expected a non-empty JSON array');
+    }
+    return script.map((entry) => (typeof entry === 'string' ? { response: entry } : entry));
+  } catch (error) {
+    throw new Error(`Could not load mock responses from ${file}: ${error.message}`);
+  }
+}
+
+export function createMockResponder(setting) {
+  const echo = setting === 'echo';
+  const script = echo || /^(1|true|yes)$/i.test(setting) ? null : loadScript(setting);
+  const ordered = script ? script.filter((entry) => !entry.match) : CANNED_RESPONSES.map((response) => ({ response }));
+  let turn = 0;
+
+  // Picks the entry for the latest user message
+  const pick = (messages) => {
+    const message = messages.at(-1)?.content ?? '';
+    if (echo) return { response: `You said: ${message}` };
+
+    const matched = script?.find((entry) => entry.match && new RegExp(entry.match, 'i').test(message));
+    if (matched) return matched;
+    return ordered.length > 0 ? ordered[turn++ % ordered.length] : { response: `You said: ${message}` };
+  };
+
+  return {
+    async reply(messages, signal) {
+      const entry = pick(messages);
+      await sleep(LATENCY, signal);
+      if (entry.error) throw new Error(entry.error);
+      return { response: entry.response ?? '', toolCalls: entry.tools ?? [] };
+    },
+
+    // Same events as the real stream: tool calls first, then the response word by word
+    async *stream(messages, signal) {
+      const entry = pick(messages);
+      await sleep(LATENCY, signal);
+      if (entry.error) throw new Error(entry.error);
+
+      for (const toolCall of entry.tools ?? []) {
+        yield { type: 'tool', ...toolCall };
+        await sleep(LATENCY, signal);
+      }
+      for (const token of (entry.response ?? '').match(/\S+\s*/g) ?? []) {
+        yield { type: 'token', content: token };
+        await sleep(TOKEN_DELAY, signal);
+      }
+    },
+  };
+}
@@ -0,0 +1,11 @@
+import express from 'express';
+
+// Looks up context for a message before it reaches the model: retrieve(message)
+// returns the text to add to the prompt and the sources to show with the answer.
+// The rag template replaces this with a search over the docs/ index.
+export async function retrieve() {
+  return { context: '', sources: [] };
+}
+
+// Extra endpoints the retrieval needs, e.g. serving the documents sources link to
+export const retrievalRouter = express.Router();
@@ -0,0 +1,3 @@
+// Tools the Alith agent can call. `npx create-alith-app generate tool <name>` adds new ones here.
+export default [
+];
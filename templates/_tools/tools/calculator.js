@@ -0,0 +1,27 @@
+// Evaluates arithmetic, so the model doesn't have to do math in its head
+export const calculator = {
+  name: 'calculator',
+  description: 'Evaluates an arithmetic expression such as "(12.5 + 7) * 3" and returns the result.',
+  // JSON Schema for the arguments. The handler receives them in the order listed here.
+  parameters: {
+    type: 'object',
+    properties: {
+      expression: { type: 'string', description: 'The expression, using numbers, + - * / % ** and parentheses' },
+    },
+    required: ['expression'],
+  },
+  handler(expression) {
+    // Only numbers and operators get through, so nothing else can be evaluated
+    if (!/^[\d\s.+\-*/%()]+$/.test(expression)) {
+      return { error: 'Only numbers, + - * / % ** and parentheses are supported' };
+    }
+    // Input such as "1+" or "()" passes the check but isn't valid syntax
+    let result;
+    try {
+      result = Function(`"use strict"; return (${expression});`)();
+    } catch (error) {
+      return { error: `Invalid expression: ${error.message}` };
+    }
+    return Number.isFinite(result) ? { result } : { error: 'The expression has no finite result' };
+  },
+};
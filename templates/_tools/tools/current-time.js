@@ -0,0 +1,23 @@
+// Models don't know the current date or time unless they are told
+export const currentTime = {
+  name: 'current_time',
+  description: 'Returns the current date and time, optionally in a given IANA time zone such as "Europe/Paris".',
+  // JSON Schema for the arguments. The handler receives them in the order listed here.
+  parameters: {
+    type: 'object',
+    properties: {
+      timeZone: { type: 'string', description: 'IANA time zone name, defaults to the server\'s time zone' },
+    },
+  },
+  handler(timeZone) {
+    const now = new Date();
+    try {
+      return {
+        iso: now.toISOString(),
+        local: now.toLocaleString('en-US', { timeZone, dateStyle: 'full', timeStyle: 'long' }),
+      };
+    } catch {
+      return { error: `Unknown time zone "${timeZone}"` };
+    }
+  },
+};
@@ -0,0 +1,106 @@
+import dns from 'node:dns';
+import http from 'node:http';
+import https from 'node:https';
+import net from 'node:net';
+
+// Stub for letting the model read web pages. It only returns the start of the
+// page text; add proper HTML parsing before relying on it.
+const MAX_LENGTH = 2000;
+const MAX_BYTES = 1024 * 1024;
+const MAX_REDIRECTS = 5;
+const TIMEOUT = 10000;
+
+// The model chooses the URL, so it must not be able to reach the server's own network:
+// loopback, private and link-local addresses (which include the cloud metadata service
+// at 169.254.169.254) are refused, for every address a host resolves to and after redirects.
+const privateNetworks = new net.BlockList();
+for (const [network, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]]) {
+  privateNetworks.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  privateNetworks.addSubnet(network, prefix, 'ipv6');
+}
+
+// IPv4 addresses written as IPv6 (::ffff:127.0.0.1) are checked against the IPv4 ranges
+const isPrivateAddress = (address) => privateNetworks.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+
+// Used by http(s) in place of dns.lookup, so the address that gets connected to is the one checked
+function lookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to ${blocked.address}, which is on a private network`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// GETs the URL, following redirects, and resolves to its status and the start of its body
+function get(url, redirects = 0) {
+  return new Promise((resolve, reject) => {
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return reject(new Error('only http and https URLs can be fetched'));
+    }
+    // IP addresses are connected to without a lookup
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && isPrivateAddress(host)) {
+      return reject(new Error(`${host} is on a private network`));
+    }
+
+    const client = url.protocol === 'https:' ? https : http;
+    const request = client.get(url, { lookup, signal: AbortSignal.timeout(TIMEOUT) }, (response) => {
+      const { statusCode, headers } = response;
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          return reject(new Error('too many redirects'));
+        }
+        return get(new URL(headers.location, url), redirects + 1).then(resolve, reject);
+      }
+
+      const chunks = [];
+      let size = 0;
+      response.on('data', (chunk) => {
+        chunks.push(chunk);
+        size += chunk.length;
+        // Only the start of the page is returned, so there is no need to read the rest
+        if (size >= MAX_BYTES) response.destroy();
+      });
+      response.on('close', () => resolve({ status: statusCode, body: Buffer.concat(chunks).toString('utf8') }));
+      response.on('error', reject);
+    });
+    request.on('error', reject);
+  });
+}
+
+export const fetchUrl = {
+  name: 'fetch_url',
+  description: 'Fetches a public web page and returns the beginning of its text content.',
+  // JSON Schema for the arguments. The handler receives them in the order listed here.
+  parameters: {
+    type: 'object',
+    properties: {
+      url: { type: 'string', description: 'Absolute http(s) URL of the page' },
+    },
+    required: ['url'],
+  },
+  async handler(url) {
+    if (!/^https?:\/\//i.test(url)) {
+      return { error: 'Only http and https URLs can be fetched' };
+    }
+
+    try {
+      const { status, body } = await get(new URL(url));
+      const text = body
+        .replace(/<(script|style)[\s\S]*?<\/\1>/gi, '')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+      return { status, text: text.slice(0, MAX_LENGTH) };
+    } catch (error) {
+      return { error: `Could not fetch ${url}: ${error.message}` };
+    }
+  },
+};
@@ -0,0 +1,10 @@
+import { calculator } from './calculator.js';
+import { currentTime } from './current-time.js';
+import { fetchUrl } from './fetch-url.js';
+
+// Tools the Alith agent can call. `npx create-alith-app generate tool <name>` adds new ones here.
+export default [
+  calculator,
+  currentTime,
+  fetchUrl,
+];
@@ -0,0 +1,110 @@
+// The /api/chat contract: what the client sends, what the server answers and the events it
+// streams, with runtime checks for both ends. The React client imports it, and so does the
+// server when it is written in TypeScript, so a change here is checked on both sides.
+
+export interface ChatRequest {
+  message: string;
+  // Keeps the server-side history of one conversation apart from the others
+  conversationId?: string;
+}
+
+// A tool the agent called while answering, shown as its own message
+export interface ToolCall {
+  name: string;
+  args: Record<string, unknown>;
+  result: unknown;
+}
+
+// A document the answer was based on, cited in the text as [id]
+export interface Source {
+  id: number;
+  title: string;
+  url: string;
+}
+
+// Reply of POST /api/chat
+export interface ChatResponse {
+  response: string;
+  toolCalls: ToolCall[];
+  sources: Source[];
+}
+
+// Body of every error response. requestId is also in the server log, next to the full error.
+export interface ChatErrorResponse {
+  error: string;
+  requestId?: string;
+}
+
+// Events of POST /api/chat/stream, each sent as `data: <json>`
+export type ChatStreamEvent =
+  | { type: 'sources'; sources: Source[] }
+  | { type: 'token'; content: string }
+  | ({ type: 'tool' } & ToolCall)
+  | ({ type: 'error' } & ChatErrorResponse)
+  | { type: 'done' };
+
+export const MAX_CONVERSATION_ID_LENGTH = 100;
+
+const isObject = (value: unknown): value is Record<string, unknown> =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const isToolCall = (value: unknown): value is ToolCall =>
+  isObject(value) && typeof value.name === 'string' && isObject(value.args);
+
+const isSource = (value: unknown): value is Source =>
+  isObject(value) && typeof value.id === 'number' && typeof value.title === 'string' && typeof value.url === 'string';
+
+const isArrayOf = <T>(value: unknown, isItem: (item: unknown) => item is T): value is T[] =>
+  Array.isArray(value) && value.every(isItem);
+
+// The reason a request body is rejected, or null when it is a valid ChatRequest
+export function validateChatRequest(body: unknown, { maxMessageLength = Infinity } = {}): string | null {
+  const { message, conversationId } = isObject(body) ? body : {};
+  if (typeof message !== 'string' || !message.trim()) {
+    return 'Message is required';
+  }
+  if (message.length > maxMessageLength) {
+    return `Message is too long, the limit is ${maxMessageLength} characters`;
+  }
+  if (conversationId !== undefined && (typeof conversationId !== 'string' || conversationId.length > MAX_CONVERSATION_ID_LENGTH)) {
+    return 'Invalid conversationId';
+  }
+  return null;
+}
+
+// Checks a reply of POST /api/chat, so an incompatible server or a proxy's error page
+// fails with a clear error instead of rendering undefined
+export function parseChatResponse(data: unknown): ChatResponse {
+  if (isObject(data) && typeof data.response === 'string') {
+    const { toolCalls = [], sources = [] } = data;
+    if (isArrayOf(toolCalls, isToolCall) && isArrayOf(sources, isSource)) {
+      return { response: data.response, toolCalls, sources };
+    }
+  }
+  throw new Error('Unexpected response from the chat API');
+}
+
+// Checks one event of POST /api/chat/stream
+export function parseChatStreamEvent(data: unknown): ChatStreamEvent {
+  if (isObject(data)) {
+    switch (data.type) {
+      case 'sources':
+        if (isArrayOf(data.sources, isSource)) return { type: 'sources', sources: data.sources };
+        break;
+      case 'token':
+        if (typeof data.content === 'string') return { type: 'token', content: data.content };
+        break;
+      case 'tool':
+        if (isToolCall(data)) return { type: 'tool', name: data.name, args: data.args, result: data.result };
+        break;
+      case 'error':
+        if (typeof data.error === 'string') {
+          return { type: 'error', error: data.error, requestId: typeof data.requestId === 'string' ? data.requestId : undefined };
+        }
+        break;
+      case 'done':
+        return { type: 'done' };
+    }
+  }
+  throw new Error('Unexpected event from the chat API');
+}
@@ -0,0 +1,223 @@
+// @vitest-environment jsdom
+import '@testing-library/jest-dom/vitest';
+import { cleanup, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import config from '../../alith.config.json';
+import type { ChatStreamEvent } from '../../shared/chat';
+import ChatInterface from './ChatInterface';
+
+// A plain JSON reply, which the component also accepts when the server doesn't stream
+const jsonResponse = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+// A Server-Sent Events reply like /api/chat/stream sends. With keepOpen the stream stays
+// open after the events, like a reply still being generated, until the request is aborted.
+const streamResponse = (events: ChatStreamEvent[], { signal, keepOpen = false }: { signal?: AbortSignal | null; keepOpen?: boolean } = {}) => {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    start(controller) {
+      events.forEach((event) => controller.enqueue(encoder.encode(`data: ${JSON.stringify(event)}\n\n`)));
+      if (!keepOpen) return controller.close();
+      signal?.addEventListener('abort', () => controller.error(new DOMException('The request was aborted', 'AbortError')));
+    },
+  });
+  return new Response(body, { headers: { 'Content-Type': 'text/event-stream' } });
+};
+
+const sendMessage = (text: string) => {
+  fireEvent.change(screen.getByPlaceholderText('Type your message...'), { target: { value: text } });
+  fireEvent.click(screen.getByRole('button', { name: 'Send message' }));
+};
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+afterEach(() => {
+  cleanup();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('ChatInterface', () => {
+  it('sends the message and shows the reply', async () => {
+    const fetchMock = vi.fn(async (_url: string, _init?: RequestInit) => jsonResponse({ response: 'Hi, how can I help?' }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    render(<ChatInterface isOpen onClose={() => {}} />);
+    sendMessage('Hello Alith');
+
+    expect(screen.getByText('Hello Alith')).toBeInTheDocument();
+    expect(await screen.findByText('Hi, how can I help?')).toBeInTheDocument();
+    expect(fetchMock.mock.calls[0][0]).toBe('/api/chat/stream');
+    expect(JSON.parse(fetchMock.mock.calls[0][1]?.body as string)).toMatchObject({ message: 'Hello Alith' });
+  });
+
+  it('greets the user and sends a starter prompt when clicked', async () => {
+    const fetchMock = vi.fn(async (_url: string, _init?: RequestInit) => jsonResponse({ response: 'Happy to help.' }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    render(<ChatInterface isOpen onClose={() => {}} />);
+    expect(screen.getByRole('heading', { name: config.title })).toBeInTheDocument();
+    expect(screen.getByText(config.greeting)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: config.starters[0] }));
+
+    expect(await screen.findByText('Happy to help.')).toBeInTheDocument();
+    expect(JSON.parse(fetchMock.mock.calls[0][1]?.body as string)).toMatchObject({ message: config.starters[0] });
+    expect(screen.queryByRole('button', { name: config.starters[1] })).not.toBeInTheDocument();
+  });
+
+  it('renders replies as Markdown and copies the whole message', async () => {
+    const writeText = vi.fn(async () => {});
+    Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+    vi.stubGlobal('fetch', vi.fn(async () => jsonResponse({ response: 'Use **npm test** to run them.' })));
+
+    render(<ChatInterface isOpen onClose={() => {}} />);
+    sendMessage('How do I run the tests?');
+
+    // The first reply loads the Markdown renderer, which can take a moment on a cold cache
+    expect((await screen.findByText('npm test', {}, { timeout: 5000 })).tagName).toBe('STRONG');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Copy message' }));
+    expect(writeText).toHaveBeenCalledWith('Use **npm test** to run them.');
+  });
+
+  it('links the sources the answer is based on', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => jsonResponse({
+      response: 'Invoices are sent monthly [1].',
+      sources: [{ id: 1, title: 'Billing', url: '/api/docs/billing.md' }],
+    })));
+
+    render(<ChatInterface isOpen onClose={() => {}} />);
+    sendMessage('When are invoices sent?');
+
+    const link = await screen.findByRole('link', { name: '[1] Billing' });
+    expect(link).toHaveAttribute('href', '/api/docs/billing.md');
+  });
+
+  it('shows the typing indicator while waiting for the reply', async () => {
+    let reply: (response: Response) => void = () => {};
+    vi.stubGlobal('fetch', vi.fn()
+      .mockImplementationOnce(() => new Promise<Response>((resolve) => { reply = resolve; }))
+      .mockImplementation(async () => jsonResponse({ response: 'Yes, I am here.' })));
+
+    render(<ChatInterface isOpen onClose={() => {}} />);
+    sendMessage('Are you there?');
+
+    expect(screen.getByRole('status', { name: `${config.name} is typing` })).toBeInTheDocument();
+
+    reply(jsonResponse({ response: 'Yes, I am here.' }));
+
+    expect(await screen.findByText('Yes, I am here.')).toBeInTheDocument();
+    expect(screen.queryByRole('status', { name: `${config.name} is typing` })).not.toBeInTheDocument();
+  });
+
+  it('streams the reply over Server-Sent Events', async () => {
+    const fetchMock = vi.fn(async (_url: string, _init?: RequestInit) => streamResponse([
+      { type: 'token', content: 'Hello ' },
+      { type: 'token', content: 'there!' },
+      { type: 'done' },
+    ]));
+    vi.stubGlobal('fetch', fetchMock);
+
+    render(<ChatInterface isOpen onClose={() => {}} />);
+    sendMessage('Hi');
+
+    expect(await screen.findByText('Hello there!', {}, { timeout: 5000 })).toBeInTheDocument();
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('shows the tools the agent used as their own messages', async () => {
+    vi.stubGlobal('fetch', vi.fn(async (_url: string, _init?: RequestInit) => streamResponse([
+      { type: 'tool', name: 'calculator', args: { expression: '6*7' }, result: { result: 42 } },
+      { type: 'token', content: "It's 42." },
+      { type: 'done' },
+    ])));
+
+    render(<ChatInterface isOpen onClose={() => {}} />);
+    sendMessage('What is 6 times 7?');
+
+    expect(await screen.findByText("It's 42.", {}, { timeout: 5000 })).toBeInTheDocument();
+    expect(screen.getByText('calculator')).toBeInTheDocument();
+    expect(screen.getByText(/"expression": "6\*7"/)).toBeInTheDocument();
+  });
+
+  it('stops generating when Stop is pressed and keeps the partial reply', async () => {
+    const fetchMock = vi.fn(async (_url: string, init?: RequestInit) => streamResponse([{ type: 'token', content: 'The first part' }], { signal: init?.signal, keepOpen: true }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    render(<ChatInterface isOpen onClose={() => {}} />);
+    sendMessage('Tell me a long story');
+
+    expect(await screen.findByText('The first part', {}, { timeout: 5000 })).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Stop generating' }));
+
+    expect(await screen.findByRole('button', { name: 'Send message' })).toBeInTheDocument();
+    expect(fetchMock.mock.calls[0][1]?.signal?.aborted).toBe(true);
+    expect(screen.getByText('The first part')).toBeInTheDocument();
+    expect(screen.queryByText(/having trouble connecting/)).not.toBeInTheDocument();
+  });
+
+  it('keeps the conversation across reloads until a new chat is started', async () => {
+    const fetchMock = vi.fn(async (_url: string, _init?: RequestInit) => streamResponse([{ type: 'token', content: 'Noted.' }, { type: 'done' }]));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const { unmount } = render(<ChatInterface isOpen onClose={() => {}} />);
+    sendMessage('Remember the number 7');
+    expect(await screen.findByText('Noted.', {}, { timeout: 5000 })).toBeInTheDocument();
+
+    // The messages come back from localStorage, and the server gets the same conversation id
+    unmount();
+    render(<ChatInterface isOpen onClose={() => {}} />);
+    expect(screen.getByText('Remember the number 7')).toBeInTheDocument();
+    sendMessage('Which number?');
+    await waitFor(() => expect(screen.getAllByText('Noted.')).toHaveLength(2));
+
+    const firstId = JSON.parse(fetchMock.mock.calls[0][1]?.body as string).conversationId;
+    expect(firstId).toEqual(expect.any(String));
+    expect(JSON.parse(fetchMock.mock.calls[1][1]?.body as string).conversationId).toBe(firstId);
+
+    fireEvent.click(screen.getByRole('button', { name: 'New chat' }));
+    expect(screen.queryByText('Remember the number 7')).not.toBeInTheDocument();
+    sendMessage('Hello again');
+    await screen.findByText('Noted.');
+    expect(JSON.parse(fetchMock.mock.calls[2][1]?.body as string).conversationId).not.toBe(firstId);
+  });
+
+  it('switches to dark mode and remembers the choice', () => {
+    const { unmount } = render(<ChatInterface isOpen onClose={() => {}} colorMode="light" />);
+    fireEvent.click(screen.getByRole('button', { name: 'Switch to dark mode' }));
+
+    expect(screen.getByRole('button', { name: 'Switch to light mode' })).toBeInTheDocument();
+    expect(localStorage.getItem('alith-chat-color-mode')).toBe('dark');
+
+    // The user's choice wins over the default the next time the chat opens
+    unmount();
+    render(<ChatInterface isOpen onClose={() => {}} colorMode="light" />);
+    expect(screen.getByRole('button', { name: 'Switch to light mode' })).toBeInTheDocument();
+  });
+
+  it('shows the server\'s error without retrying a rejected message', async () => {
+    const fetchMock = vi.fn(async () => jsonResponse({ error: 'Too many requests, please try again later' }, 429));
+    vi.stubGlobal('fetch', fetchMock);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    render(<ChatInterface isOpen onClose={() => {}} />);
+    sendMessage('Hello again');
+
+    expect(await screen.findByText('Too many requests, please try again later')).toBeInTheDocument();
+    // Falling back to /api/chat would send the message, and count it against the limit, twice
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('shows the fallback message when the server is unreachable', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => { throw new TypeError('Failed to fetch'); }));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    render(<ChatInterface isOpen onClose={() => {}} />);
+    sendMessage('Hello?');
+
+    expect(await screen.findByText("I'm sorry, I'm having trouble connecting right now. Please try again in a moment.")).toBeInTheDocument();
+  });
+});
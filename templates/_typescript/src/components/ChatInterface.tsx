@@ -0,0 +1,515 @@
+import React, { useState, useEffect, useRef, Suspense, lazy } from 'react';
+// Assistant name, title, greeting, starter prompts and color mode, shared with the server
+import config from '../../alith.config.json';
+// Request and response types of the API, with runtime checks, shared with the server
+import { type ChatErrorResponse, type ChatRequest, type ChatResponse, type Source, type ToolCall, parseChatResponse, parseChatStreamEvent } from '../../shared/chat';
+import CopyButton from './CopyButton';
+
+// Loaded with the first reply, keeping the Markdown parser and highlighter out of the main bundle
+const Markdown = lazy(() => import('./Markdown'));
+
+interface Message {
+  id: number;
+  text: string;
+  sender: 'user' | 'bot' | 'tool';
+  timestamp: Date;
+  tool?: ToolCall;
+  sources?: Source[];
+}
+
+export type ColorMode = 'light' | 'dark' | 'system';
+
+interface ChatInterfaceProps {
+  isOpen: boolean;
+  onClose: () => void;
+  // Base URL of the Alith server, SERVER_URL unless given
+  endpoint?: string;
+  // Shown in the header, the title from alith.config.json unless given
+  title?: string;
+  // Light or dark until the user picks one with the toggle, the colorMode from alith.config.json unless given
+  colorMode?: ColorMode;
+}
+
+interface Conversation {
+  id: string;
+  messages: Message[];
+}
+
+// The Alith server. Empty means this page's own origin: in development Vite proxies /api
+// to the server, and in production server.js serves the built app. Set VITE_API_URL in
+// .env when the API is hosted elsewhere.
+const SERVER_URL = import.meta.env.VITE_API_URL ?? '';
+
+// Conversations are kept in localStorage so a page reload doesn't wipe the chat
+const STORAGE_KEY = 'alith-chat';
+
+const createConversation = (): Conversation => ({
+  id: crypto.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`,
+  messages: [
+    {
+      id: 1,
+      text: config.greeting,
+      sender: 'bot',
+      timestamp: new Date()
+    }
+  ]
+});
+
+const loadConversation = (): Conversation => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (!stored) return createConversation();
+
+    const conversation: Conversation = JSON.parse(stored);
+    return {
+      ...conversation,
+      messages: conversation.messages.map(message => ({ ...message, timestamp: new Date(message.timestamp) }))
+    };
+  } catch {
+    return createConversation();
+  }
+};
+
+// An error response of the API, e.g. from the rate limiter or the request checks. Its
+// message comes from the server and is shown in the chat.
+class ChatApiError extends Error {}
+
+const toChatApiError = async (response: Response): Promise<ChatApiError> => {
+  const data: Partial<ChatErrorResponse> = await response.json().catch(() => ({}));
+  return new ChatApiError(typeof data.error === 'string' ? data.error : `Server responded with ${response.status}: ${response.statusText}`);
+};
+
+// Browser-compatible function that calls our local Alith server
+const getAlithResponse = async (endpoint: string, message: string, conversationId: string, signal?: AbortSignal): Promise<ChatResponse> => {
+  try {
+    const request: ChatRequest = { message, conversationId };
+    const response = await fetch(`${endpoint}/api/chat`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(request),
+      signal,
+    });
+
+    if (!response.ok) {
+      throw await toChatApiError(response);
+    }
+
+    const data = parseChatResponse(await response.json());
+    return { ...data, response: data.response || 'No response received' };
+  } catch (error) {
+    console.error('Error calling Alith server:', error);
+    throw error;
+  }
+};
+
+// Streams the response token by token over Server-Sent Events, falling back to the
+// regular endpoint when the server doesn't offer streaming. Other error responses, such
+// as a rejected message or the rate limit, are not retried there.
+const streamAlithResponse = async (
+  endpoint: string,
+  message: string,
+  conversationId: string,
+  onToken: (token: string) => void,
+  onToolCall: (toolCall: ToolCall) => void,
+  onSources: (sources: Source[]) => void,
+  signal: AbortSignal
+): Promise<void> => {
+  const request: ChatRequest = { message, conversationId };
+  const response = await fetch(`${endpoint}/api/chat/stream`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(request),
+    signal,
+  });
+
+  const isEventStream = response.headers.get('Content-Type')?.startsWith('text/event-stream');
+  const notStreaming = response.status === 404 || response.status === 405 || (response.ok && !isEventStream);
+  if (!response.ok && !notStreaming) {
+    throw await toChatApiError(response);
+  }
+  if (notStreaming || !response.body) {
+    const { response: text, toolCalls, sources } = await getAlithResponse(endpoint, message, conversationId, signal);
+    if (sources.length > 0) onSources(sources);
+    toolCalls.forEach(onToolCall);
+    onToken(text);
+    return;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) return;
+
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split('\n\n');
+    buffer = events.pop() ?? '';
+
+    for (const event of events) {
+      if (!event.startsWith('data:')) continue;
+
+      const data = parseChatStreamEvent(JSON.parse(event.slice('data:'.length)));
+      if (data.type === 'sources') onSources(data.sources);
+      if (data.type === 'token') onToken(data.content);
+      if (data.type === 'tool') onToolCall({ name: data.name, args: data.args, result: data.result });
+      if (data.type === 'error') throw new Error(data.error);
+      if (data.type === 'done') return;
+    }
+  }
+};
+
+// The light or dark mode picked with the header's toggle, kept in localStorage too
+const COLOR_MODE_KEY = 'alith-chat-color-mode';
+
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+// Whether the chat is dark, and a function switching between light and dark. Until the
+// user switches, defaultMode applies; 'system' follows the operating system's setting.
+const useColorMode = (defaultMode: ColorMode): [boolean, () => void] => {
+  const [mode, setMode] = useState<ColorMode>(() => {
+    const stored = localStorage.getItem(COLOR_MODE_KEY);
+    return stored === 'light' || stored === 'dark' ? stored : defaultMode;
+  });
+  const [systemDark, setSystemDark] = useState(() => window.matchMedia?.(DARK_QUERY).matches ?? false);
+
+  useEffect(() => {
+    if (mode !== 'system' || !window.matchMedia) return;
+    const query = window.matchMedia(DARK_QUERY);
+    const handleChange = () => setSystemDark(query.matches);
+    query.addEventListener('change', handleChange);
+    return () => query.removeEventListener('change', handleChange);
+  }, [mode]);
+
+  const isDark = mode === 'system' ? systemDark : mode === 'dark';
+  const toggle = () => {
+    const next = isDark ? 'light' : 'dark';
+    localStorage.setItem(COLOR_MODE_KEY, next);
+    setMode(next);
+  };
+  return [isDark, toggle];
+};
+
+const formatValue = (value: unknown) => typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+
+const ToolCallMessage: React.FC<{ tool: ToolCall }> = ({ tool }) => (
+  <div className="flex justify-start">
+    <details className="max-w-xs sm:max-w-sm px-3 py-2 rounded-xl bg-accent-soft border border-line text-content text-xs">
+      <summary className="cursor-pointer select-none">
+        🔧 Used <span className="font-mono font-semibold">{tool.name}</span>
+      </summary>
+      <div className="mt-2 space-y-1 font-mono">
+        <p className="text-accent">Arguments</p>
+        <pre className="whitespace-pre-wrap break-words">{formatValue(tool.args)}</pre>
+        <p className="text-accent">Result</p>
+        <pre className="whitespace-pre-wrap break-words">{formatValue(tool.result)}</pre>
+      </div>
+    </details>
+  </div>
+);
+
+const ChatInterface: React.FC<ChatInterfaceProps> = ({ isOpen, onClose, endpoint = SERVER_URL, title = config.title, colorMode = config.colorMode as ColorMode }) => {
+  const [initialConversation] = useState(loadConversation);
+  const [conversationId, setConversationId] = useState(initialConversation.id);
+  const [messages, setMessages] = useState<Message[]>(initialConversation.messages);
+  const [inputMessage, setInputMessage] = useState('');
+  const [isTyping, setIsTyping] = useState(false);
+  const [isStreaming, setIsStreaming] = useState(false);
+  const abortControllerRef = useRef<AbortController | null>(null);
+  const [isDark, toggleColorMode] = useColorMode(colorMode);
+  const messagesContainerRef = useRef<HTMLDivElement>(null);
+
+  // Auto-scroll to bottom when new messages are added
+  useEffect(() => {
+    const messagesContainer = messagesContainerRef.current;
+    if (messagesContainer) {
+      messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    }
+  }, [messages, isTyping]);
+
+  // Persist the conversation whenever it changes
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ id: conversationId, messages }));
+  }, [conversationId, messages]);
+
+  const sendMessage = async (text: string) => {
+    if (!text.trim() || isStreaming) return;
+
+    const userMessage: Message = {
+      id: Date.now(),
+      text,
+      sender: 'user',
+      timestamp: new Date()
+    };
+
+    setMessages(prev => [...prev, userMessage]);
+    setInputMessage('');
+    setIsTyping(true);
+    setIsStreaming(true);
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    let nextMessageId = Date.now() + 1;
+    let botMessageId = nextMessageId++;
+
+    // The bot message is created on the first token and grows as more arrive
+    const appendToken = (token: string) => {
+      setIsTyping(false);
+      const id = botMessageId;
+      setMessages(prev => prev.some(message => message.id === id)
+        ? prev.map(message => message.id === id ? { ...message, text: message.text + token } : message)
+        : [...prev, { id, text: token, sender: 'bot', timestamp: new Date() }]
+      );
+    };
+
+    // Tool calls get their own message; text after one starts a new bot message below it
+    const appendToolCall = (tool: ToolCall) => {
+      const id = nextMessageId++;
+      botMessageId = nextMessageId++;
+      setMessages(prev => [...prev, { id, text: '', sender: 'tool', timestamp: new Date(), tool }]);
+    };
+
+    // Sources arrive before the answer and are shown under its last message
+    let sources: Source[] = [];
+    const setSources = (received: Source[]) => {
+      sources = received;
+    };
+
+    try {
+      // Use Alith server for AI response
+      await streamAlithResponse(endpoint, text, conversationId, appendToken, appendToolCall, setSources, controller.signal);
+      setIsTyping(false);
+
+      if (sources.length > 0) {
+        const id = botMessageId;
+        setMessages(prev => prev.map(message => message.id === id ? { ...message, sources } : message));
+      }
+    } catch (error) {
+      setIsTyping(false);
+
+      // Stopped by the user, keep whatever was received so far
+      if (controller.signal.aborted) return;
+
+      console.error('Error getting AI response:', error);
+      
+      // The server's reason when it rejected the message, a fallback response otherwise
+      const fallbackResponse: Message = {
+        id: nextMessageId++,
+        text: error instanceof ChatApiError ? error.message : "I'm sorry, I'm having trouble connecting right now. Please try again in a moment.",
+        sender: 'bot',
+        timestamp: new Date()
+      };
+
+      setMessages(prev => [...prev, fallbackResponse]);
+    } finally {
+      abortControllerRef.current = null;
+      setIsStreaming(false);
+    }
+  };
+
+  const handleSendMessage = () => sendMessage(inputMessage);
+
+  const handleStop = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  const handleNewChat = () => {
+    abortControllerRef.current?.abort();
+    const conversation = createConversation();
+    setConversationId(conversation.id);
+    setMessages(conversation.messages);
+  };
+
+  const handleKeyPress = (e: React.KeyboardEvent) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      handleSendMessage();
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className={`${isDark ? 'dark ' : ''}fixed inset-0 sm:inset-auto sm:bottom-4 sm:right-4 z-50 flex items-end justify-center sm:block p-4 sm:p-0`}>
+      {/* Chat Modal */}
+      <div className="relative bg-surface shadow-2xl w-full max-w-md sm:w-[420px] h-full max-h-[90vh] sm:h-[600px] flex flex-col rounded-t-2xl sm:rounded-2xl overflow-hidden border border-line">
+        {/* Chat Header */}
+        <div className="bg-brand p-4 sm:p-6 flex justify-between items-center">
+          <div className="flex items-center">
+            <div>
+              <h3 className="text-lg sm:text-xl font-bold text-brand-contrast">{title}</h3>
+              <p className="text-brand-contrast opacity-75 text-xs sm:text-sm">{config.subtitle}</p>
+            </div>
+          </div>
+          <div className="flex items-center space-x-1">
+            <button
+              onClick={toggleColorMode}
+              aria-label={isDark ? 'Switch to light mode' : 'Switch to dark mode'}
+              title={isDark ? 'Switch to light mode' : 'Switch to dark mode'}
+              className="text-brand-contrast hover:opacity-75 transition p-2 hover:bg-white/10 rounded-lg"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                {isDark ? (
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 3v1m0 16v1m9-9h-1M4 12H3m15.364 6.364l-.707-.707M6.343 6.343l-.707-.707m12.728 0l-.707.707M6.343 17.657l-.707.707M16 12a4 4 0 11-8 0 4 4 0 018 0z" />
+                ) : (
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M20.354 15.354A9 9 0 018.646 3.646 9.003 9.003 0 0012 21a9.003 9.003 0 008.354-5.646z" />
+                )}
+              </svg>
+            </button>
+            <button
+              onClick={handleNewChat}
+              aria-label="New chat"
+              title="New chat"
+              className="text-brand-contrast hover:opacity-75 transition p-2 hover:bg-white/10 rounded-lg"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+              </svg>
+            </button>
+            <button
+              onClick={onClose}
+              aria-label="Close chat"
+              className="text-brand-contrast hover:opacity-75 transition p-2 hover:bg-white/10 rounded-lg"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        {/* Messages Area */}
+        <div ref={messagesContainerRef} className="flex-1 overflow-y-auto p-4 sm:p-6 bg-surface-muted">
+          <div className="space-y-3 sm:space-y-4">
+            {/* Initial Bot Message */}
+            <div className="flex justify-start">
+              <div className="bg-surface rounded-2xl px-4 sm:px-5 py-3 sm:py-4 shadow-sm border border-line max-w-xs sm:max-w-md">
+                <p className="font-semibold text-content text-sm sm:text-base">{config.greeting}</p>
+
+                {/* Starter prompts, until the conversation begins */}
+                {messages.length === 1 && config.starters.length > 0 && (
+                  <div className="mt-3 sm:mt-4 bg-accent-soft rounded-lg sm:rounded-xl p-3 sm:p-4 border border-line">
+                    <div className="flex items-center space-x-2 text-accent mb-2">
+                      <span className="text-base sm:text-lg">⚡</span>
+                      <span className="font-semibold text-xs sm:text-sm">Try asking</span>
+                    </div>
+                    <div className="flex flex-col items-start space-y-1">
+                      {config.starters.map((starter) => (
+                        <button
+                          key={starter}
+                          onClick={() => sendMessage(starter)}
+                          className="text-left text-xs sm:text-sm text-accent hover:text-accent-strong hover:underline leading-relaxed"
+                        >
+                          {starter}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+            </div>
+
+            {/* Dynamic Messages */}
+            {messages.slice(1).map((message) => message.tool ? (
+              <ToolCallMessage key={message.id} tool={message.tool} />
+            ) : (
+              <div key={message.id} className={`flex ${message.sender === 'user' ? 'justify-end' : 'justify-start'}`}>
+                <div className={`max-w-xs sm:max-w-sm px-3 sm:px-4 py-2 rounded-2xl shadow-sm ${
+                  message.sender === 'user'
+                    ? 'bg-brand text-brand-contrast border-0'
+                    : 'bg-surface text-content border border-line'
+                }`}>
+                  {message.sender === 'bot' ? (
+                    <Suspense fallback={<p className="text-xs sm:text-sm leading-relaxed whitespace-pre-wrap">{message.text}</p>}>
+                      <Markdown text={message.text} />
+                    </Suspense>
+                  ) : (
+                    <p className="text-xs sm:text-sm leading-relaxed whitespace-pre-wrap">{message.text}</p>
+                  )}
+                  {message.sources && message.sources.length > 0 && (
+                    <div className="mt-2 pt-2 border-t border-line flex flex-wrap gap-x-3 gap-y-1 text-xs">
+                      <span className="text-content-muted">Sources:</span>
+                      {message.sources.map((source) => (
+                        <a
+                          key={source.id}
+                          href={source.url.startsWith('/') ? `${endpoint}${source.url}` : source.url}
+                          target="_blank"
+                          rel="noreferrer"
+                          className="text-accent hover:text-accent-strong hover:underline"
+                        >
+                          [{source.id}] {source.title}
+                        </a>
+                      ))}
+                    </div>
+                  )}
+                  {message.sender === 'bot' && (
+                    <div className="mt-1 flex justify-end">
+                      <CopyButton text={message.text} label="Copy message" className="text-content-subtle hover:text-content" />
+                    </div>
+                  )}
+                </div>
+              </div>
+            ))}
+
+            {/* Typing Indicator */}
+            {isTyping && (
+              <div className="flex justify-start" role="status" aria-label={`${config.name} is typing`}>
+                <div className="bg-surface px-4 py-3 rounded-2xl shadow-sm border border-line">
+                  <div className="flex space-x-1">
+                    <div className="w-2 h-2 bg-content-subtle rounded-full animate-bounce"></div>
+                    <div className="w-2 h-2 bg-content-subtle rounded-full animate-bounce" style={{ animationDelay: '0.1s' }}></div>
+                    <div className="w-2 h-2 bg-content-subtle rounded-full animate-bounce" style={{ animationDelay: '0.2s' }}></div>
+                  </div>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Input Area */}
+        <div className="p-4 sm:p-6 bg-surface border-t border-line">
+          {/* Input Field with Send Button */}
+          <div className="flex items-center space-x-2 sm:space-x-3 bg-surface-muted rounded-xl sm:rounded-2xl px-3 sm:px-4 py-2 sm:py-3 border border-line focus-within:border-line-strong focus-within:ring-2 focus-within:ring-surface-strong transition-all">
+            <input
+              type="text"
+              value={inputMessage}
+              onChange={(e) => setInputMessage(e.target.value)}
+              onKeyPress={handleKeyPress}
+              placeholder="Type your message..."
+              className="flex-1 px-2 py-1 bg-transparent border-none outline-none text-content placeholder-content-subtle text-sm sm:text-base"
+            />
+            {isStreaming ? (
+              <button
+                onClick={handleStop}
+                aria-label="Stop generating"
+                className="bg-brand hover:opacity-90 text-brand-contrast p-2 rounded-lg sm:rounded-xl transition-all shadow-sm hover:shadow-md"
+              >
+                <svg className="w-4 h-4 sm:w-5 sm:h-5" fill="currentColor" viewBox="0 0 24 24">
+                  <rect x="6" y="6" width="12" height="12" rx="2" />
+                </svg>
+              </button>
+            ) : (
+              <button
+                onClick={handleSendMessage}
+                disabled={!inputMessage.trim()}
+                aria-label="Send message"
+                className="bg-brand hover:opacity-90 disabled:opacity-50 disabled:cursor-not-allowed text-brand-contrast p-2 rounded-lg sm:rounded-xl transition-all shadow-sm hover:shadow-md"
+              >
+                <svg className="w-4 h-4 sm:w-5 sm:h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8" />
+                </svg>
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ChatInterface;
@@ -0,0 +1,62 @@
+// @vitest-environment jsdom
+import '@testing-library/jest-dom/vitest';
+import { act, fireEvent, within } from '@testing-library/react';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { mount, type MountedWidget } from './widget';
+
+let widget: MountedWidget | undefined;
+
+// Mounts the widget and returns queries scoped to its shadow root
+const mountWidget = async (...args: Parameters<typeof mount>) => {
+  await act(async () => {
+    widget = mount(...args);
+  });
+  const host = document.querySelector<HTMLElement>('[data-alith-chat]');
+  return { host, shadow: within(host?.shadowRoot as unknown as HTMLElement) };
+};
+
+afterEach(() => {
+  act(() => widget?.unmount());
+  widget = undefined;
+  localStorage.clear();
+  vi.unstubAllGlobals();
+});
+
+describe('mount', () => {
+  it('renders the chat button inside a shadow root', async () => {
+    const { host, shadow } = await mountWidget();
+
+    expect(shadow.getByRole('button', { name: 'Open chat' })).toBeInTheDocument();
+    // Nothing of the widget is reachable from the page's own DOM
+    expect(document.body.querySelector('button')).toBeNull();
+    expect(host?.shadowRoot?.querySelector('style')).not.toBeNull();
+  });
+
+  it('uses the given title, theme and endpoint', async () => {
+    const fetchMock = vi.fn(async (_url: string, _init?: RequestInit) =>
+      new Response(JSON.stringify({ response: 'Hello from the widget.' }), { headers: { 'Content-Type': 'application/json' } }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const { host, shadow } = await mountWidget({ endpoint: 'https://chat.example.com/', title: 'Support', theme: { brandColor: '#b45309', mode: 'dark' } });
+    expect(host?.style.getPropertyValue('--alith-brand')).toBe('#b45309');
+
+    fireEvent.click(shadow.getByRole('button', { name: 'Open chat' }));
+    expect(shadow.getByRole('heading', { name: 'Support' })).toBeInTheDocument();
+    expect(shadow.getByRole('button', { name: 'Switch to light mode' })).toBeInTheDocument();
+
+    fireEvent.change(shadow.getByPlaceholderText('Type your message...'), { target: { value: 'Hi' } });
+    fireEvent.click(shadow.getByRole('button', { name: 'Send message' }));
+
+    expect(await shadow.findByText('Hello from the widget.', {}, { timeout: 5000 })).toBeInTheDocument();
+    expect(fetchMock.mock.calls[0][0]).toBe('https://chat.example.com/api/chat/stream');
+  });
+
+  it('removes itself from the page on unmount', async () => {
+    await mountWidget();
+
+    act(() => widget?.unmount());
+    widget = undefined;
+
+    expect(document.querySelector('[data-alith-chat]')).toBeNull();
+  });
+});
@@ -0,0 +1,65 @@
+import { StrictMode } from 'react'
+import { createRoot } from 'react-dom/client'
+// Tailwind and the code theme as a string, to be added to the shadow root instead of the page
+import styles from './widget.css?inline'
+import ChatWidget from './components/ChatWidget'
+import type { ColorMode } from './components/ChatInterface'
+
+export interface WidgetTheme {
+  // Any CSS color, for the header, buttons and the user's messages
+  brandColor?: string
+  // Text on the brand color, the one picked for the project's brand color unless given
+  brandContrastColor?: string
+  // Light or dark until the user picks one with the toggle, the colorMode from alith.config.json unless given
+  mode?: ColorMode
+}
+
+export interface MountOptions {
+  // Base URL of the Alith server, e.g. https://chat.example.com. Defaults to where this script was loaded from.
+  endpoint?: string
+  // Shown in the chat header, the title from alith.config.json unless given
+  title?: string
+  theme?: WidgetTheme
+}
+
+export interface MountedWidget {
+  // Removes the widget from the page again
+  unmount: () => void
+}
+
+// The built bundle is usually served by the Alith server itself, at /widget/alith-chat.js,
+// so that origin is the best guess for the API. It is only known while the script first runs.
+const scriptOrigin = document.currentScript instanceof HTMLScriptElement && document.currentScript.src
+  ? new URL(document.currentScript.src).origin
+  : ''
+
+// Adds the chat button to the page, in a shadow root so the page's CSS and the widget's
+// Tailwind styles can't affect each other. `vite build --config vite.widget.config.ts`
+// bundles this as a script that exposes it as AlithChat.mount().
+export function mount({ endpoint = scriptOrigin, title, theme = {} }: MountOptions = {}): MountedWidget {
+  const host = document.createElement('div')
+  host.dataset.alithChat = ''
+  if (theme.brandColor) host.style.setProperty('--alith-brand', theme.brandColor)
+  if (theme.brandContrastColor) host.style.setProperty('--alith-brand-contrast', theme.brandContrastColor)
+  document.body.appendChild(host)
+
+  const shadowRoot = host.attachShadow({ mode: 'open' })
+  const style = document.createElement('style')
+  style.textContent = styles
+  const container = document.createElement('div')
+  shadowRoot.append(style, container)
+
+  const root = createRoot(container)
+  root.render(
+    <StrictMode>
+      <ChatWidget endpoint={endpoint.replace(/\/+$/, '')} title={title} colorMode={theme.mode} />
+    </StrictMode>,
+  )
+
+  return {
+    unmount() {
+      root.unmount()
+      host.remove()
+    },
+  }
+}
@@ -0,0 +1,18 @@
+import { defineConfig, loadEnv } from 'vite'
+import react from '@vitejs/plugin-react'
+
+export default defineConfig(({ mode }) => {
+  // The Express server's port, read from .env like server.js does
+  const { PORT = '3001' } = loadEnv(mode, '.', '')
+
+  return {
+    plugins: [react()],
+    server: {
+      port: 5173,
+      // The frontend calls the API with relative /api URLs, as it does when server.js serves the build
+      proxy: {
+        '/api': `http://localhost:${PORT}`,
+      },
+    },
+  }
+})
@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+import { Agent } from 'alith';
+import dotenv from 'dotenv';
+import fs from 'node:fs';
+import readline from 'node:readline/promises';
+import { stdin as input, stdout as output } from 'node:process';
+
+dotenv.config();
+
+// Assistant persona and model settings
+const config = JSON.parse(fs.readFileSync(new URL('./alith.config.json', import.meta.url), 'utf8'));
+
+// Initialize Alith agent
+const agent = new Agent({
+  name: config.name,
+  model: config.model,
+  apiKey: process.env.{{apiKeyEnv}},
+  baseUrl: "{{baseUrl}}",
+  preamble: config.preamble,
+});
+
+const rl = readline.createInterface({ input, output });
+
+console.log(`🤖 ${config.name} — type your message, or 'exit' to quit.`);
+console.log();
+console.log(`${config.name}: ${config.greeting}`);
+console.log();
+
+while (true) {
+  const message = (await rl.question('You: ')).trim();
+
+  if (!message) continue;
+  if (message === 'exit' || message === 'quit') break;
+
+  try {
+    const response = await agent.prompt(message);
+    console.log(`${config.name}: ${response}`);
+  } catch (error) {
+    console.error('Error getting AI response:', error.message);
+  }
+  console.log();
+}
+
+rl.close();
@@ -0,0 +1,20 @@
+/** @type {import('tailwindcss').Config} */
+export default {
+  content: [
+    "./index.html",
+    "./src/**/*.{js,ts,jsx,tsx}",
+  ],
+  theme: {
+    extend: {
+      // The chat's colors, defined as CSS variables for the light and dark modes in src/theme.css
+      colors: {
+        brand: { DEFAULT: 'var(--alith-brand)', contrast: 'var(--alith-brand-contrast)' },
+        surface: { DEFAULT: 'var(--alith-surface)', muted: 'var(--alith-surface-muted)', strong: 'var(--alith-surface-strong)' },
+        line: { DEFAULT: 'var(--alith-line)', strong: 'var(--alith-line-strong)' },
+        content: { DEFAULT: 'var(--alith-content)', muted: 'var(--alith-content-muted)', subtle: 'var(--alith-content-subtle)' },
+        accent: { DEFAULT: 'var(--alith-accent)', strong: 'var(--alith-accent-strong)', soft: 'var(--alith-accent-soft)' },
+      },
+    },
+  },
+  plugins: [],
+}
@@ -0,0 +1,52 @@
+import { Agent } from 'alith'
+import { NextResponse } from 'next/server'
+// Assistant persona and model settings, shared with the chat UI
+import config from '../../../alith.config.json'
+
+// Initialize Alith agent
+const agent = new Agent({
+  name: config.name,
+  model: config.model,
+  apiKey: process.env.{{apiKeyEnv}},
+  baseUrl: "{{baseUrl}}",
+  preamble: config.preamble,
+})
+
+// Longest message accepted, in characters
+const MAX_MESSAGE_LENGTH = Number(process.env.MAX_MESSAGE_LENGTH ?? 4000)
+
+export async function POST(request: Request) {
+  // Logged with any error, so a failed request can be found without sending its details to the client
+  const requestId = crypto.randomUUID()
+
+  // A malformed body is the client's mistake, like in the Express servers
+  let body: { message?: unknown } | null
+  try {
+    body = await request.json()
+  } catch {
+    return NextResponse.json({ error: 'Request body is not valid JSON' }, { status: 400 })
+  }
+
+  try {
+    const message = body?.message
+
+    if (typeof message !== 'string' || !message.trim()) {
+      return NextResponse.json({ error: 'Message is required' }, { status: 400 })
+    }
+    if (message.length > MAX_MESSAGE_LENGTH) {
+      return NextResponse.json({ error: `Message is too long, the limit is ${MAX_MESSAGE_LENGTH} characters` }, { status: 400 })
+    }
+
+    // Use Alith agent to get response
+    const response = await agent.prompt(message)
+
+    return NextResponse.json({ response })
+  } catch (error) {
+    // Provider errors can include account details, so they stay in the log
+    console.error(`[${requestId}] Error getting AI response:`, error)
+    return NextResponse.json(
+      { error: 'Failed to get AI response', requestId },
+      { status: 500, headers: { 'X-Request-Id': requestId } }
+    )
+  }
+}
@@ -0,0 +1,35 @@
+'use client'
+
+import { useState } from 'react'
+import ChatInterface from '@/components/ChatInterface'
+
+export default function Home() {
+  const [isChatOpen, setIsChatOpen] = useState(false)
+
+  return (
+    <main className="flex min-h-screen flex-col items-center justify-center gap-4 p-8 text-center">
+      <h1 className="text-4xl font-bold text-gray-800">Next.js + Alith</h1>
+      <p className="text-gray-500">
+        Edit <code>app/page.tsx</code> to get started, or open the chat in the corner.
+      </p>
+
+      {/* Chat Icon */}
+      {!isChatOpen && (
+        <button
+          onClick={() => setIsChatOpen(true)}
+          className="fixed bottom-4 right-4 sm:bottom-6 sm:right-6 w-14 h-14 sm:w-16 sm:h-16 bg-white hover:bg-gray-50 border-2 border-gray-200 hover:border-gray-300 rounded-full shadow-2xl transition-all duration-300 hover:scale-110 z-50 flex items-center justify-center"
+        >
+          <svg className="w-6 h-6 sm:w-8 sm:h-8 text-gray-700" fill="none" stroke="currentColor" viewBox="0 0 24 24" strokeWidth={2}>
+            <path strokeLinecap="round" strokeLinejoin="round" d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4-8 9-8s9 3.582 9 8z" />
+          </svg>
+        </button>
+      )}
+
+      {/* Chat Interface */}
+      <ChatInterface
+        isOpen={isChatOpen}
+        onClose={() => setIsChatOpen(false)}
+      />
+    </main>
+  )
+}
@@ -0,0 +1,7 @@
+/** @type {import('next').NextConfig} */
+const nextConfig = {
+  // Alith ships a native binding, so keep it out of the server bundle
+  serverExternalPackages: ['alith'],
+};
+
+export default nextConfig;
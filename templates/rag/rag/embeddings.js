@@ -0,0 +1,56 @@
+import { RemoteModelEmbeddings } from 'alith';
+
+// Turns text into vectors for the docs index. Set EMBEDDINGS in .env to choose:
+//   keyword (default)  hashed word counts: no model or network needed, but only matches shared words
+//   ollama             a local embedding model served by Ollama (`ollama pull nomic-embed-text`)
+//   openai             OpenAI's embeddings API, using OPENAI_API_KEY
+// EMBEDDINGS_MODEL and EMBEDDINGS_BASE_URL override the model and endpoint, so any
+// OpenAI-compatible embeddings server works. To plug in something else, add an entry
+// below: create(model) returns an object whose embedTexts(texts) resolves to one vector per text.
+// Vectors from different models can't be compared, so run `{{runScript}} ingest` after switching.
+const EMBEDDERS = {
+  keyword: {
+    model: 'hashed-words',
+    create: () => createKeywordEmbeddings(),
+  },
+  ollama: {
+    model: 'nomic-embed-text',
+    create: (model) => new RemoteModelEmbeddings(model, 'ollama', process.env.EMBEDDINGS_BASE_URL || 'http://localhost:11434/v1'),
+  },
+  openai: {
+    model: 'text-embedding-3-small',
+    create: (model) => new RemoteModelEmbeddings(model, process.env.OPENAI_API_KEY ?? '', process.env.EMBEDDINGS_BASE_URL || 'https://api.openai.com/v1'),
+  },
+};
+
+const KEYWORD_DIMENSIONS = 1024;
+const STOP_WORDS = new Set(['the', 'and', 'for', 'are', 'you', 'your', 'with', 'that', 'this', 'what', 'how', 'can', 'does', 'from', 'have', 'not', 'into']);
+
+// Each word is hashed into one of a fixed number of buckets, so texts sharing words get similar vectors
+function createKeywordEmbeddings() {
+  const embed = (text) => {
+    const vector = new Array(KEYWORD_DIMENSIONS).fill(0);
+    for (const word of text.toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) ?? []) {
+      if (STOP_WORDS.has(word)) continue;
+      let hash = 2166136261;
+      for (let i = 0; i < word.length; i++) {
+        hash = Math.imul(hash ^ word.charCodeAt(i), 16777619);
+      }
+      vector[(hash >>> 0) % KEYWORD_DIMENSIONS] += 1;
+    }
+    return vector;
+  };
+
+  return { embedTexts: async (texts) => texts.map(embed) };
+}
+
+// Returns the embedder and an id naming it and its model, which the index records
+export function createEmbeddings(name = process.env.EMBEDDINGS || 'keyword') {
+  const embedder = EMBEDDERS[name];
+  if (!embedder) {
+    throw new Error(`Unknown EMBEDDINGS "${name}", use one of: ${Object.keys(EMBEDDERS).join(', ')}`);
+  }
+
+  const model = process.env.EMBEDDINGS_MODEL || embedder.model;
+  return { id: `${name}/${model}`, embeddings: embedder.create(model) };
+}
@@ -0,0 +1,77 @@
+import 'dotenv/config';
+import { chunkText } from 'alith';
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { createEmbeddings } from './embeddings.js';
+import { DOCS_DIR, INDEX_PATH, loadIndex, saveIndex } from './store.js';
+
+// Splits every Markdown and text file under docs/ into chunks, embeds them and
+// writes the index the chat searches. Run with `{{runScript}} ingest`.
+const EXTENSIONS = ['.md', '.markdown', '.txt'];
+const CHUNK_TOKENS = Number(process.env.RAG_CHUNK_TOKENS) || 256;
+const CHUNK_OVERLAP_PERCENT = 10;
+const BATCH_SIZE = 32;
+
+// Paths relative to dir, with forward slashes so they double as URLs
+async function listDocuments(dir, prefix = '') {
+  const files = [];
+  for (const entry of await fs.readdir(path.join(dir, prefix), { withFileTypes: true })) {
+    const file = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...await listDocuments(dir, file));
+    } else if (EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+      files.push(file);
+    }
+  }
+  return files.sort();
+}
+
+// The first Markdown heading, or the file name
+const getTitle = (text, file) => text.match(/^#\s+(.+)$/m)?.[1].trim() ?? path.basename(file, path.extname(file));
+
+// Files whose content and embedder haven't changed keep their vectors, so running it again is cheap
+export async function ingest({ docsDir = DOCS_DIR, indexPath = INDEX_PATH, embedder = createEmbeddings(), log = console.log } = {}) {
+  const previous = await loadIndex(indexPath);
+  const reusable = previous?.embedder === embedder.id ? previous : null;
+  const files = {};
+  const chunks = [];
+  let embedded = 0;
+
+  for (const file of await listDocuments(docsDir)) {
+    const text = await fs.readFile(path.join(docsDir, file), 'utf8');
+    const hash = crypto.createHash('sha256').update(text).digest('hex');
+    const title = getTitle(text, file);
+    files[file] = { hash, title };
+
+    if (reusable?.files[file]?.hash === hash) {
+      chunks.push(...reusable.chunks.filter((chunk) => chunk.file === file));
+      continue;
+    }
+
+    const pieces = chunkText(text, CHUNK_TOKENS, CHUNK_OVERLAP_PERCENT).filter((piece) => piece.trim());
+    for (let i = 0; i < pieces.length; i += BATCH_SIZE) {
+      const batch = pieces.slice(i, i + BATCH_SIZE);
+      const vectors = await embedder.embeddings.embedTexts(batch);
+      batch.forEach((piece, j) => chunks.push({ file, title, text: piece, vector: vectors[j] }));
+    }
+    embedded++;
+    log(`  ${file}: ${pieces.length} chunk${pieces.length === 1 ? '' : 's'}`);
+  }
+
+  await saveIndex({ embedder: embedder.id, files, chunks }, indexPath);
+  return { documents: Object.keys(files).length, embedded, chunks: chunks.length };
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  try {
+    const embedder = createEmbeddings();
+    console.log(`Indexing docs/ with ${embedder.id}...`);
+    const { documents, embedded, chunks } = await ingest({ embedder });
+    console.log(`Indexed ${documents} document${documents === 1 ? '' : 's'} into ${chunks} chunks (${embedded} embedded, ${documents - embedded} unchanged).`);
+  } catch (error) {
+    console.error('Failed to index the docs:', error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,59 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { createEmbeddings } from './embeddings.js';
+import { ingest } from './ingest.js';
+import { loadIndex, search } from './store.js';
+
+// Indexes a throwaway docs folder with the keyword embedder, so no model or network is needed
+const embedder = createEmbeddings('keyword');
+let dir;
+let docsDir;
+let indexPath;
+
+const index = (options) => ingest({ docsDir, indexPath, embedder, log: () => {}, ...options });
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rag-test-'));
+  docsDir = path.join(dir, 'docs');
+  indexPath = path.join(dir, 'index.json');
+  await fs.mkdir(path.join(docsDir, 'guides'), { recursive: true });
+  await fs.writeFile(path.join(docsDir, 'billing.md'), '# Billing\n\nInvoices are sent on the first day of every month. Refunds take five business days.');
+  await fs.writeFile(path.join(docsDir, 'guides', 'setup.md'), '# Setup\n\nInstall the desktop client, then sign in with your company account.');
+  await fs.writeFile(path.join(docsDir, 'image.png'), 'not a document');
+});
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+describe('ingest', () => {
+  it('indexes the Markdown and text files under docs/', async () => {
+    const result = await index();
+
+    expect(result).toMatchObject({ documents: 2, embedded: 2 });
+    const saved = await loadIndex(indexPath);
+    expect(saved.embedder).toBe('keyword/hashed-words');
+    expect(Object.keys(saved.files)).toEqual(['billing.md', 'guides/setup.md']);
+    expect(saved.files['guides/setup.md'].title).toBe('Setup');
+  });
+
+  it('only embeds documents that changed since the last run', async () => {
+    await index();
+    await fs.appendFile(path.join(docsDir, 'billing.md'), '\n\nPayments are accepted by card.');
+
+    expect(await index()).toMatchObject({ documents: 2, embedded: 1 });
+  });
+});
+
+describe('search', () => {
+  it('ranks the chunks sharing words with the question first', async () => {
+    await index();
+    const [vector] = await embedder.embeddings.embedTexts(['When are invoices sent?']);
+
+    const [best] = search(await loadIndex(indexPath), vector, { topK: 1 });
+
+    expect(best.chunk.file).toBe('billing.md');
+  });
+});
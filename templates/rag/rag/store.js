@@ -0,0 +1,43 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+// Documents to chat with, and the vector index `{{runScript}} ingest` builds from them. Both
+// are found from the project root, which the scripts run from, so they stay the same when a
+// TypeScript server compiles this module to build/.
+export const DOCS_DIR = path.resolve('docs');
+export const INDEX_PATH = path.resolve('rag', 'index.json');
+
+// The index is plain JSON: { embedder, files: { [file]: { hash, title } }, chunks: [{ file, title, text, vector }] }
+export async function loadIndex(indexPath = INDEX_PATH) {
+  try {
+    return JSON.parse(await fs.readFile(indexPath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+export async function saveIndex(index, indexPath = INDEX_PATH) {
+  await fs.writeFile(indexPath, JSON.stringify(index));
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// The topK chunks closest to the vector, best first. A brute-force scan is fast enough for a few thousand chunks.
+export function search(index, vector, { topK = 4, minScore = 0 } = {}) {
+  return index.chunks
+    .map((chunk) => ({ chunk, score: cosineSimilarity(vector, chunk.vector) }))
+    .filter(({ score }) => score > minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+}
@@ -0,0 +1,69 @@
+import express from 'express';
+import fs from 'node:fs/promises';
+import { createEmbeddings } from '../rag/embeddings.js';
+import { DOCS_DIR, INDEX_PATH, loadIndex, search } from '../rag/store.js';
+
+// Retrieval over the docs/ index: the chunks closest to each message are added
+// to the prompt, and the documents they came from are returned as sources.
+const TOP_K = Number(process.env.RAG_TOP_K) || 4;
+const MIN_SCORE = Number(process.env.RAG_MIN_SCORE) || 0;
+// Where source links point, e.g. your published docs site; by default the copies served below
+const DOCS_BASE_URL = process.env.DOCS_BASE_URL || '/api/docs/';
+
+const embedder = createEmbeddings();
+
+// Reloaded whenever the file changes, so re-running ingest needs no restart
+let cached = { mtimeMs: 0, index: null };
+let warnedEmpty = false;
+
+async function getIndex() {
+  const stats = await fs.stat(INDEX_PATH).catch(() => null);
+  if (!stats) return null;
+  if (stats.mtimeMs !== cached.mtimeMs) {
+    cached = { mtimeMs: stats.mtimeMs, index: await loadIndex() };
+  }
+  return cached.index;
+}
+
+const toUrl = (file) => `${DOCS_BASE_URL}${file.split('/').map(encodeURIComponent).join('/')}`;
+
+export async function retrieve(message) {
+  const index = await getIndex();
+  if (!index || index.chunks.length === 0) {
+    if (!warnedEmpty) {
+      console.warn('No documents are indexed, answering without them. Add files to docs/ and run `{{runScript}} ingest`.');
+      warnedEmpty = true;
+    }
+    return { context: '', sources: [] };
+  }
+  if (index.embedder !== embedder.id) {
+    throw new Error(`The docs index was built with ${index.embedder}, but EMBEDDINGS is set to ${embedder.id}. Run \`{{runScript}} ingest\` again.`);
+  }
+
+  const [vector] = await embedder.embeddings.embedTexts([message]);
+  const matches = search(index, vector, { topK: TOP_K, minScore: MIN_SCORE });
+  if (matches.length === 0) {
+    return { context: '', sources: [] };
+  }
+
+  // One numbered source per document, in order of relevance, which the model cites as [1], [2]...
+  const files = [...new Set(matches.map(({ chunk }) => chunk.file))];
+  const sources = files.map((file, i) => ({ id: i + 1, title: index.files[file]?.title ?? file, url: toUrl(file) }));
+  const excerpts = matches.map(({ chunk }) => `[${files.indexOf(chunk.file) + 1}] ${chunk.title}\n${chunk.text.trim()}`);
+
+  return {
+    context: [
+      'Answer using the documentation excerpts below and cite the ones you use by number, e.g. [1]. If they do not contain the answer, say so instead of guessing.',
+      ...excerpts,
+    ].join('\n\n'),
+    sources,
+  };
+}
+
+// The documents sources link to. Markdown is sent as plain text, so browsers show it instead of downloading it.
+export const retrievalRouter = express.Router();
+retrievalRouter.use('/api/docs', express.static(DOCS_DIR, {
+  setHeaders: (res, filePath) => {
+    if (/\.(md|markdown|txt)$/i.test(filePath)) res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  },
+}));
@@ -0,0 +1,82 @@
+import './style.css';
+// Assistant name, greeting and starter prompts, shared with the server
+import config from '../alith.config.json';
+
+const messagesContainer = document.getElementById('messages');
+const form = document.getElementById('chat-form');
+const input = document.getElementById('chat-input');
+
+// Calls our local Alith server, returns { response, toolCalls }
+async function getAlithResponse(message) {
+  const response = await fetch('/api/chat', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ message }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Server responded with ${response.status}: ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  return { ...data, response: data.response || 'No response received' };
+}
+
+function addMessage(text, sender) {
+  const element = document.createElement('div');
+  element.className = `message ${sender}`;
+  element.textContent = text;
+  messagesContainer.appendChild(element);
+  messagesContainer.scrollTop = messagesContainer.scrollHeight;
+  return element;
+}
+
+// Suggested first messages, removed once the conversation begins
+function addStarters() {
+  if (config.starters.length === 0) return;
+
+  const starters = document.createElement('div');
+  starters.className = 'starters';
+  for (const starter of config.starters) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = starter;
+    button.addEventListener('click', () => sendMessage(starter));
+    starters.appendChild(button);
+  }
+  messagesContainer.appendChild(starters);
+}
+
+async function sendMessage(message) {
+  messagesContainer.querySelector('.starters')?.remove();
+  addMessage(message, 'user');
+  input.value = '';
+
+  const typingIndicator = addMessage('…', 'bot typing');
+
+  try {
+    const { response, toolCalls = [] } = await getAlithResponse(message);
+    typingIndicator.remove();
+    // Tools the agent used while answering, e.g. "🔧 calculator {"expression":"6*7"} → {"result":42}"
+    toolCalls.forEach((call) => addMessage(`🔧 ${call.name} ${JSON.stringify(call.args)} → ${JSON.stringify(call.result)}`, 'tool'));
+    addMessage(response, 'bot');
+  } catch (error) {
+    console.error('Error getting AI response:', error);
+    typingIndicator.remove();
+    addMessage("I'm sorry, I'm having trouble connecting right now. Please try again in a moment.", 'bot');
+  }
+}
+
+form.addEventListener('submit', (event) => {
+  event.preventDefault();
+
+  const message = input.value.trim();
+  if (message) sendMessage(message);
+});
+
+document.title = `${config.name} Chat`;
+document.getElementById('assistant-name').textContent = config.name;
+addMessage(config.greeting, 'bot');
+addStarters();
@@ -0,0 +1,16 @@
+import { defineConfig, loadEnv } from 'vite';
+
+export default defineConfig(({ mode }) => {
+  // The Express server's port, read from .env like server.js does
+  const { PORT = '3001' } = loadEnv(mode, '.', '');
+
+  return {
+    server: {
+      port: 5173,
+      // The page calls the API with relative /api URLs, as it does when server.js serves the build
+      proxy: {
+        '/api': `http://localhost:${PORT}`,
+      },
+    },
+  };
+});
@@ -0,0 +1,165 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const path = require('path');
+const { planChatIntegration, planDockerIntegration, applyPlan } = require('../lib/add');
+const { detectProject } = require('../lib/project');
+const { getProvider, getProviderVariables } = require('../lib/providers');
+const { getAssistantVariables } = require('../lib/assistant');
+const { getThemeVariables } = require('../lib/theme');
+const { InvalidProjectError } = require('../lib/errors');
+const { useTempDir } = require('./helpers');
+
+let projectPath;
+
+// The same variables bin/create-alith-app.js renders the files with
+const variables = { ...getProviderVariables(getProvider('groq')), ...getAssistantVariables(), ...getThemeVariables() };
+
+// Writes a project with the given package.json and files, and plans adding chat to it
+async function planFor(packageJson, files = {}, { apiKey = 'gsk-test' } = {}) {
+  await fs.outputFile(path.join(projectPath, 'package.json'), typeof packageJson === 'string' ? packageJson : JSON.stringify(packageJson, null, 2));
+  await Promise.all(Object.entries(files).map(([file, content]) => fs.outputFile(path.join(projectPath, file), content)));
+  const project = await detectProject(projectPath);
+  return { project, plan: await planChatIntegration(projectPath, project, { variables, apiKey }) };
+}
+
+const createdFile = (plan, file) => plan.created.find(created => created.path === file);
+
+describe('detectProject', () => {
+  useTempDir(created => { projectPath = created; });
+
+  it('detects the framework, language and module type', async () => {
+    const { project } = await planFor({ type: 'module', dependencies: { react: '^19.0.0', express: '^4.0.0' }, devDependencies: { typescript: '^5.0.0' } }, { 'src/main.tsx': '' });
+
+    assert.equal(project.framework, 'react-express');
+    assert.equal(project.typescript, true);
+    assert.equal(project.moduleType, 'module');
+    assert.equal(project.srcDir, 'src');
+    assert.equal(project.packageManager, 'npm');
+  });
+
+  it('returns null without a package.json', async () => {
+    assert.equal(await detectProject(projectPath), null);
+  });
+
+  it('names the package.json when it is not valid JSON', async () => {
+    await fs.writeFile(path.join(projectPath, 'package.json'), '{ "name": "app", }');
+
+    await assert.rejects(detectProject(projectPath), error =>
+      error instanceof InvalidProjectError && error.code === 'INVALID_PROJECT' && error.file === path.join(projectPath, 'package.json') && error.message.includes('is not valid JSON'));
+  });
+
+  it('rejects a package.json without an object', async () => {
+    await fs.writeFile(path.join(projectPath, 'package.json'), 'null');
+
+    await assert.rejects(detectProject(projectPath), InvalidProjectError);
+  });
+});
+
+describe('planChatIntegration', () => {
+  useTempDir(created => { projectPath = created; });
+
+  it('adds the JavaScript component, routes and backend to a Vite React project', async () => {
+    const { plan } = await planFor({ dependencies: { react: '^19.0.0' }, devDependencies: { vite: '^7.0.0' } }, { 'src/main.jsx': '' });
+
+    assert.deepEqual(plan.created.map(file => file.path), [
+      'src/components/ChatInterface.jsx',
+      'src/components/Markdown.jsx',
+      'src/components/CopyButton.jsx',
+      'src/alith-theme.css',
+      'routes/alith-chat.mjs',
+      'routes/alith-mock.mjs',
+      'routes/alith-retrieval.mjs',
+      'routes/alith-security.mjs',
+      'tools/index.mjs',
+      'alith-server.mjs',
+      'alith.config.json'
+    ]);
+    assert.match(createdFile(plan, 'src/components/ChatInterface.jsx').content, /from '\.\.\/\.\.\/alith\.config\.json'/);
+    assert.deepEqual(JSON.parse(plan.packageJson.after).scripts, { 'alith-server': 'node alith-server.mjs' });
+    assert.ok(plan.addedDependencies.includes('alith') && plan.addedDependencies.includes('react-markdown'));
+  });
+
+  it('points the chat routes at the renamed modules they import', async () => {
+    const { plan } = await planFor({ dependencies: { express: '^4.21.1' } });
+    const routes = createdFile(plan, 'routes/alith-chat.mjs').content;
+
+    assert.match(routes, /from '\.\/alith-mock\.mjs'/);
+    assert.match(routes, /from '\.\/alith-retrieval\.mjs'/);
+    assert.match(routes, /from '\.\/alith-security\.mjs'/);
+    assert.match(routes, /from '\.\.\/tools\/index\.mjs'/);
+    assert.doesNotMatch(routes, /\{\{\w+\}\}/);
+    assert.deepEqual(plan.addedDependencies, ['alith']);
+    assert.match(plan.notes.join('\n'), /import\('\.\/routes\/alith-chat\.mjs'\)/);
+  });
+
+  it('recomputes the imports of the TypeScript component for components outside src', async () => {
+    const { plan } = await planFor({ dependencies: { react: '^19.0.0', express: '^4.0.0' }, devDependencies: { typescript: '^5.0.0' } });
+    const component = createdFile(plan, 'components/ChatInterface.tsx').content;
+
+    assert.match(component, /from '\.\.\/alith\.config\.json'/);
+    assert.match(component, /from '\.\.\/shared\/chat'/);
+    assert.ok(createdFile(plan, 'shared/chat.ts'));
+    assert.ok(createdFile(plan, 'alith-theme.css'));
+    assert.match(plan.notes.join('\n'), /resolveJsonModule/);
+  });
+
+  it('adds the route handler and component to a Next.js project with src/app', async () => {
+    const { plan } = await planFor({ dependencies: { next: '^15.0.0', react: '^19.0.0' } }, { 'src/app/page.tsx': '' });
+
+    assert.deepEqual(plan.created.map(file => file.path), ['src/app/api/chat/route.ts', 'src/components/ChatInterface.tsx', 'alith.config.json']);
+    assert.match(createdFile(plan, 'src/app/api/chat/route.ts').content, /from '\.\.\/\.\.\/\.\.\/\.\.\/alith\.config\.json'/);
+    assert.match(createdFile(plan, 'src/app/api/chat/route.ts').content, /process\.env\.GROQ_API_KEY/);
+    assert.match(createdFile(plan, 'src/components/ChatInterface.tsx').content, /from '\.\.\/\.\.\/alith\.config\.json'/);
+    assert.deepEqual(plan.addedDependencies, ['alith']);
+  });
+
+  it('keeps existing files, dependencies and the package.json indentation', async () => {
+    const { plan } = await planFor('{\n    "dependencies": {\n        "express": "^4.0.0",\n        "alith": "0.12.0"\n    }\n}\n', { 'alith.config.json': '{}' });
+
+    assert.deepEqual(plan.skipped, ['alith.config.json']);
+    assert.equal(plan.packageJson, null);
+    assert.deepEqual(plan.addedDependencies, []);
+  });
+
+  it('plans the API key in .env and .env in .gitignore', async () => {
+    const { plan } = await planFor({ dependencies: { express: '^4.0.0' } }, { '.gitignore': 'node_modules' });
+
+    assert.deepEqual(plan.env, { exists: false, name: 'GROQ_API_KEY', value: 'gsk-test', before: '' });
+    assert.deepEqual(plan.gitignore, { exists: true, entry: '.env', before: 'node_modules' });
+
+    await applyPlan(projectPath, plan);
+    assert.equal(await fs.readFile(path.join(projectPath, '.env'), 'utf8'), 'GROQ_API_KEY=gsk-test\n');
+    assert.equal(await fs.readFile(path.join(projectPath, '.gitignore'), 'utf8'), 'node_modules\n.env\n');
+    assert.ok(fs.existsSync(path.join(projectPath, 'routes/alith-chat.mjs')));
+  });
+
+  it('leaves .env and .gitignore alone when the key is set and ignored', async () => {
+    const { plan } = await planFor({ dependencies: { express: '^4.0.0' } }, { '.env': 'GROQ_API_KEY=mine\n', '.gitignore': '.env*\n' });
+
+    assert.equal(plan.env, null);
+    assert.equal(plan.gitignore, null);
+  });
+
+  it('refuses projects without a supported framework', async () => {
+    await assert.rejects(planFor({ dependencies: { lodash: '^4.0.0' } }), /Could not detect a supported framework/);
+  });
+});
+
+describe('planDockerIntegration', () => {
+  useTempDir(created => { projectPath = created; });
+
+  it('runs the compiled server of a TypeScript server project', async () => {
+    await fs.writeFile(path.join(projectPath, 'server.ts'), 'app.get(\'/health\', handler);');
+
+    const plan = await planDockerIntegration(projectPath);
+
+    assert.deepEqual(plan.created.map(file => file.path), ['Dockerfile', '.dockerignore', 'docker-compose.yml']);
+    assert.match(plan.created[0].content, /CMD \["node", "build\/server\.js"\]/);
+    assert.ok(!plan.notes.some(note => note.includes('/health')));
+  });
+
+  it('needs a server.js', async () => {
+    await assert.rejects(planDockerIntegration(projectPath), /No server\.js found/);
+  });
+});
@@ -0,0 +1,185 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const {
+  createAlithApp,
+  validatePackageName,
+  validateLanguage,
+  validateServerOptions,
+  validateThemeOptions,
+  validateInstallOptions,
+  resolveProjectPath,
+  getOfflineArgs
+} = require('../lib/create');
+const { InvalidOptionError, DirectoryConflictError, ProjectCreationError, CancelledError } = require('../lib/errors');
+const { useTempDir } = require('./helpers');
+
+let dir;
+
+// Checks the error class and the option it names
+const invalidOption = option => error => error instanceof InvalidOptionError && error.code === 'INVALID_OPTION' && error.option === option;
+
+describe('validators', () => {
+  useTempDir(created => { dir = created; });
+
+  it('validatePackageName rejects names npm would not publish', () => {
+    assert.doesNotThrow(() => validatePackageName('my-alith-app'));
+    assert.throws(() => validatePackageName('My App'), invalidOption('name'));
+  });
+
+  it('validateLanguage only allows a language for the templates with a React frontend', () => {
+    assert.doesNotThrow(() => validateLanguage('default', 'javascript'));
+    assert.doesNotThrow(() => validateLanguage('minimal-api', undefined));
+    assert.throws(() => validateLanguage('default', 'python'), invalidOption('language'));
+    assert.throws(() => validateLanguage('minimal-api', 'typescript'), invalidOption('language'));
+  });
+
+  it('validateServerOptions only allows tools, Docker and the mock provider with the Express server', () => {
+    assert.doesNotThrow(() => validateServerOptions('default', { provider: 'mock', tools: true, docker: true }));
+    assert.throws(() => validateServerOptions('cli-bot', { tools: true }), invalidOption('tools'));
+    assert.throws(() => validateServerOptions('cli-bot', { docker: true }), invalidOption('docker'));
+    assert.throws(() => validateServerOptions('cli-bot', { provider: 'mock' }), invalidOption('provider'));
+    assert.throws(() => validateServerOptions('default', { typescriptServer: true, language: 'javascript' }), invalidOption('typescriptServer'));
+  });
+
+  it('validateThemeOptions checks the title, brand color and color mode', () => {
+    assert.doesNotThrow(() => validateThemeOptions('default', { title: 'Support', brandColor: '#0ea5e9', colorMode: 'dark' }));
+    assert.throws(() => validateThemeOptions('default', { title: ' ' }), invalidOption('title'));
+    assert.throws(() => validateThemeOptions('default', { brandColor: 'blue' }), invalidOption('brandColor'));
+    assert.throws(() => validateThemeOptions('default', { colorMode: 'sepia' }), invalidOption('colorMode'));
+    assert.throws(() => validateThemeOptions('minimal-api', { brandColor: '#0ea5e9' }), invalidOption('brandColor'));
+  });
+
+  it('validateInstallOptions checks the offline options against the package manager', () => {
+    assert.doesNotThrow(() => validateInstallOptions('npm', { preferOffline: true, cacheDir: dir }));
+    assert.throws(() => validateInstallOptions('npm', { offline: true, preferOffline: true }), invalidOption('offline'));
+    assert.throws(() => validateInstallOptions('bun', { offline: true }), invalidOption('packageManager'));
+    assert.throws(() => validateInstallOptions('npm', { cacheDir: path.join(dir, 'missing') }), invalidOption('cacheDir'));
+  });
+
+  it('getOfflineArgs uses each package manager\'s flags', () => {
+    assert.deepEqual(getOfflineArgs('npm', { offline: true, cacheDir: dir }), ['--offline', '--cache', dir]);
+    assert.deepEqual(getOfflineArgs('npm', {}), []);
+  });
+});
+
+describe('resolveProjectPath', () => {
+  useTempDir(created => { dir = created; });
+
+  it('derives the package name from an existing directory', async () => {
+    const target = path.join(dir, 'My Repo');
+    await fs.outputFile(path.join(target, 'README.md'), '');
+
+    assert.deepEqual(resolveProjectPath({ dir: target }), { projectPath: target, packageName: 'my-repo', existing: true });
+  });
+
+  it('refuses directories with files the project could clash with, unless forced', async () => {
+    const target = path.join(dir, 'app');
+    await fs.outputFile(path.join(target, 'package.json'), '{}');
+
+    assert.throws(() => resolveProjectPath({ dir: target }), error =>
+      error instanceof DirectoryConflictError && error.code === 'DIRECTORY_CONFLICT' && error.entries.includes('package.json'));
+    assert.equal(resolveProjectPath({ dir: target, force: true }).existing, true);
+  });
+
+  it('needs a name or a directory', () => {
+    assert.throws(() => resolveProjectPath({}), invalidOption('name'));
+  });
+});
+
+describe('createAlithApp', () => {
+  useTempDir(created => { dir = created; });
+
+  it('creates the project with the options filled in', async () => {
+    const projectPath = path.join(dir, 'support-bot');
+    const progress = [];
+
+    const result = await createAlithApp({
+      dir: projectPath,
+      provider: 'openai',
+      apiKey: 'sk-test',
+      assistantName: 'Ada',
+      onProgress: event => progress.push(event.type)
+    });
+
+    assert.equal(result.projectPath, projectPath);
+    assert.equal(result.projectName, 'support-bot');
+    assert.equal(result.envWritten, true);
+    assert.equal(result.installed, false);
+    assert.equal((await fs.readJson(path.join(projectPath, 'package.json'))).name, 'support-bot');
+    assert.match(await fs.readFile(path.join(projectPath, '.env'), 'utf8'), /^OPENAI_API_KEY=sk-test$/m);
+    assert.equal((await fs.readJson(path.join(projectPath, 'alith.config.json'))).name, 'Ada');
+    assert.ok(fs.existsSync(path.join(projectPath, '.gitignore')));
+    assert.ok(!progress.includes('fail'));
+    // Nothing is left of the staging directory
+    assert.deepEqual(await fs.readdir(dir), ['support-bot']);
+  });
+
+  it('checks the options before writing anything', async () => {
+    await assert.rejects(createAlithApp({ dir: path.join(dir, 'app'), template: 'unknown' }), invalidOption('template'));
+    await assert.rejects(createAlithApp({ dir: path.join(dir, 'app'), provider: 'unknown' }), invalidOption('provider'));
+    await assert.rejects(createAlithApp({ dir: path.join(dir, 'app'), assistantName: ' ' }), invalidOption('assistantName'));
+
+    assert.deepEqual(await fs.readdir(dir), []);
+  });
+
+  it('merges into an existing repository, keeping its files', async () => {
+    const projectPath = path.join(dir, 'repo');
+    await fs.outputFile(path.join(projectPath, 'README.md'), 'My project');
+    await fs.outputFile(path.join(projectPath, '.gitignore'), 'coverage\n');
+
+    const result = await createAlithApp({ dir: projectPath, template: 'minimal-api' });
+
+    assert.deepEqual(result.kept, ['README.md']);
+    assert.equal(await fs.readFile(path.join(projectPath, 'README.md'), 'utf8'), 'My project');
+    assert.match(await fs.readFile(path.join(projectPath, '.gitignore'), 'utf8'), /^coverage\nnode_modules/);
+    assert.ok(fs.existsSync(path.join(projectPath, 'server.js')));
+    assert.deepEqual(await fs.readdir(dir), ['repo']);
+  });
+
+  it('reports a kept .env instead of the API key as written', async () => {
+    const projectPath = path.join(dir, 'repo');
+    await fs.outputFile(path.join(projectPath, '.env'), 'GROQ_API_KEY=\n');
+
+    const kept = await createAlithApp({ dir: projectPath, template: 'minimal-api', apiKey: 'sk-1', force: true });
+
+    assert.equal(kept.envWritten, false);
+    assert.deepEqual(kept.kept, ['.env']);
+    assert.equal(await fs.readFile(path.join(projectPath, '.env'), 'utf8'), 'GROQ_API_KEY=\n');
+
+    await fs.remove(projectPath);
+    await fs.outputFile(path.join(projectPath, '.env'), 'GROQ_API_KEY=\n');
+    const replaced = await createAlithApp({ dir: projectPath, template: 'minimal-api', apiKey: 'sk-1', force: true, overwrite: ['.env'] });
+
+    assert.equal(replaced.envWritten, true);
+    assert.match(await fs.readFile(path.join(projectPath, '.env'), 'utf8'), /^GROQ_API_KEY=sk-1$/m);
+  });
+
+  it('removes everything it created when a step fails', async () => {
+    const projectPath = path.join(dir, 'repo');
+    // A file where the template's src directory goes makes the merge fail partway through
+    await fs.outputFile(path.join(projectPath, 'src'), 'not a directory');
+    const stagingDirs = async () => (await fs.readdir(os.tmpdir())).filter(entry => /^create-alith-app-(?!test-|cache-)/.test(entry));
+    const stagedBefore = await stagingDirs();
+
+    await assert.rejects(createAlithApp({ dir: projectPath, force: true }), error =>
+      error instanceof ProjectCreationError && error.code === 'CREATE_FAILED' && /^Failed to configure project: /.test(error.message) && Boolean(error.cause));
+    assert.deepEqual(await fs.readdir(projectPath), ['src']);
+    assert.equal(await fs.readFile(path.join(projectPath, 'src'), 'utf8'), 'not a directory');
+    assert.deepEqual(await stagingDirs(), stagedBefore);
+  });
+
+  it('stops without leaving files behind when cancelled', async () => {
+    const controller = new AbortController();
+    const projectPath = path.join(dir, 'app');
+
+    await assert.rejects(createAlithApp({
+      dir: projectPath,
+      signal: controller.signal,
+      onProgress: event => event.type === 'succeed' && controller.abort()
+    }), error => error instanceof CancelledError && error.code === 'CANCELLED');
+    assert.deepEqual(await fs.readdir(dir), []);
+  });
+});
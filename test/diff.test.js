@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffLines, trimContext } = require('../lib/diff');
+
+describe('diffLines', () => {
+  it('marks unchanged, removed and added lines', () => {
+    assert.deepEqual(diffLines('a\nb\nc', 'a\nx\nc'), [
+      { type: ' ', line: 'a' },
+      { type: '-', line: 'b' },
+      { type: '+', line: 'x' },
+      { type: ' ', line: 'c' }
+    ]);
+  });
+
+  it('handles lines added at the end and removed from the start', () => {
+    assert.deepEqual(diffLines('a\nb', 'b\nc'), [
+      { type: '-', line: 'a' },
+      { type: ' ', line: 'b' },
+      { type: '+', line: 'c' }
+    ]);
+  });
+
+  it('reports no changes for equal input', () => {
+    assert.ok(diffLines('a\nb', 'a\nb').every(change => change.type === ' '));
+  });
+});
+
+describe('trimContext', () => {
+  const lines = count => Array.from({ length: count }, (_, i) => `line ${i}`).join('\n');
+
+  it('keeps the context around changes and marks the lines left out between them', () => {
+    const before = lines(10);
+    const after = before.replace('line 1', 'first').replace('line 8', 'second');
+
+    assert.deepEqual(trimContext(diffLines(before, after), 1), [
+      { type: ' ', line: 'line 0' },
+      { type: '-', line: 'line 1' },
+      { type: '+', line: 'first' },
+      { type: ' ', line: 'line 2' },
+      { type: '…', line: '' },
+      { type: ' ', line: 'line 7' },
+      { type: '-', line: 'line 8' },
+      { type: '+', line: 'second' },
+      { type: ' ', line: 'line 9' }
+    ]);
+  });
+
+  it('leaves out unchanged lines before the first and after the last change', () => {
+    const before = lines(10);
+    const after = before.replace('line 5', 'changed');
+
+    assert.deepEqual(trimContext(diffLines(before, after), 1).map(change => change.line), ['line 4', 'line 5', 'changed', 'line 6']);
+  });
+
+  it('returns nothing when nothing changed', () => {
+    assert.deepEqual(trimContext(diffLines(lines(5), lines(5))), []);
+  });
+});
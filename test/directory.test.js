@@ -0,0 +1,92 @@
+const { beforeEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const path = require('path');
+const { getUnsafeEntries, toPackageName, mergeInto } = require('../lib/directory');
+const { createRollback } = require('../lib/rollback');
+const { useTempDir } = require('./helpers');
+
+let dir;
+
+describe('getUnsafeEntries', () => {
+  useTempDir(created => { dir = created; });
+
+  it('ignores what a fresh repository has and lists the rest sorted', async () => {
+    await Promise.all(['.git/HEAD', 'README.md', 'LICENSE', '.gitignore', 'src/index.js', 'package.json']
+      .map(file => fs.outputFile(path.join(dir, file), '')));
+
+    assert.deepEqual(getUnsafeEntries(dir), ['package.json', 'src']);
+  });
+});
+
+describe('toPackageName', () => {
+  it('turns a directory name into a valid package name', () => {
+    assert.equal(toPackageName('My Repo'), 'my-repo');
+    assert.equal(toPackageName('  .Hidden_Project!! '), 'hidden_project');
+    assert.equal(toPackageName('app.v2'), 'app.v2');
+  });
+});
+
+describe('mergeInto', () => {
+  useTempDir(created => { dir = created; });
+
+  let stagingPath;
+  let projectPath;
+
+  beforeEach(async () => {
+    stagingPath = path.join(dir, 'staging');
+    projectPath = path.join(dir, 'project');
+    const staged = {
+      'package.json': JSON.stringify({ dependencies: { alith: '^0.12.0', express: '^4.0.0' } }),
+      '.gitignore': 'node_modules\n.env\n',
+      '.env': 'GROQ_API_KEY=new',
+      'README.md': 'Template readme',
+      'src/App.tsx': 'app',
+      'server.js': 'server'
+    };
+    await Promise.all(Object.entries(staged).map(([file, content]) => fs.outputFile(path.join(stagingPath, file), content)));
+    const existing = {
+      'package.json': JSON.stringify({ dependencies: { express: '^4.18.0' } }),
+      '.gitignore': 'dist',
+      '.env': 'GROQ_API_KEY=mine',
+      'README.md': 'My readme'
+    };
+    await Promise.all(Object.entries(existing).map(([file, content]) => fs.outputFile(path.join(projectPath, file), content)));
+  });
+
+  it('adds new files, keeps existing ones and appends missing .gitignore entries', async () => {
+    const result = await mergeInto(stagingPath, projectPath, { rollback: createRollback() });
+
+    assert.deepEqual(result.kept.sort(), ['.env', 'README.md', 'package.json']);
+    assert.deepEqual(result.missingDependencies, ['alith@^0.12.0']);
+    assert.equal(await fs.readFile(path.join(projectPath, 'src/App.tsx'), 'utf8'), 'app');
+    assert.equal(await fs.readFile(path.join(projectPath, 'README.md'), 'utf8'), 'My readme');
+    assert.equal(await fs.readFile(path.join(projectPath, '.env'), 'utf8'), 'GROQ_API_KEY=mine');
+    assert.equal(await fs.readFile(path.join(projectPath, '.gitignore'), 'utf8'), 'dist\nnode_modules\n.env\n');
+    assert.equal(fs.existsSync(stagingPath), false);
+  });
+
+  it('replaces the files listed in overwrite', async () => {
+    const result = await mergeInto(stagingPath, projectPath, { overwrite: ['README.md'], rollback: createRollback() });
+
+    assert.deepEqual(result.kept.sort(), ['.env', 'package.json']);
+    assert.equal(await fs.readFile(path.join(projectPath, 'README.md'), 'utf8'), 'Template readme');
+  });
+
+  it('leaves the directory as it was when rolled back', async () => {
+    const before = {};
+    for (const file of await fs.readdir(projectPath)) {
+      before[file] = await fs.readFile(path.join(projectPath, file), 'utf8');
+    }
+    const rollback = createRollback();
+
+    await mergeInto(stagingPath, projectPath, { overwrite: ['README.md'], rollback });
+    await rollback.run();
+
+    const after = {};
+    for (const file of await fs.readdir(projectPath)) {
+      after[file] = await fs.readFile(path.join(projectPath, file), 'utf8');
+    }
+    assert.deepEqual(after, before);
+  });
+});
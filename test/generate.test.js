@@ -0,0 +1,59 @@
+const { beforeEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const path = require('path');
+const { generateTool } = require('../lib/generate');
+const { useTempDir } = require('./helpers');
+
+let projectPath;
+
+const readRegistry = () => fs.readFile(path.join(projectPath, 'tools/index.js'), 'utf8');
+
+describe('generateTool', () => {
+  useTempDir(created => { projectPath = created; });
+
+  beforeEach(async () => {
+    await fs.copy(path.join(__dirname, '../templates/_tools/tools/index.js'), path.join(projectPath, 'tools/index.js'));
+  });
+
+  it('creates the tool and registers it', async () => {
+    const result = await generateTool(projectPath, 'Get weather', { description: 'Looks up the weather\'s forecast' });
+
+    assert.deepEqual(result, {
+      fileName: 'get-weather',
+      exportName: 'getWeather',
+      toolName: 'get_weather',
+      created: ['tools/get-weather.js'],
+      modified: ['tools/index.js']
+    });
+    const tool = await fs.readFile(path.join(projectPath, 'tools/get-weather.js'), 'utf8');
+    assert.match(tool, /export const getWeather = \{\n  name: 'get_weather',/);
+    assert.match(tool, /description: 'Looks up the weather\\'s forecast',/);
+
+    const registry = await readRegistry();
+    assert.match(registry, /import \{ fetchUrl \} from '\.\/fetch-url\.js';\nimport \{ getWeather \} from '\.\/get-weather\.js';\n/);
+    assert.match(registry, / {2}fetchUrl,\n {2}getWeather,\n\];/);
+  });
+
+  it('registers tools in a registry without imports or entries', async () => {
+    await fs.writeFile(path.join(projectPath, 'tools/index.js'), 'export default [];\n');
+
+    await generateTool(projectPath, 'lookupOrder');
+
+    assert.equal(await readRegistry(), 'import { lookupOrder } from \'./lookup-order.js\';\n\nexport default [\n  lookupOrder,\n];\n');
+  });
+
+  it('refuses invalid names and tools that already exist', async () => {
+    await assert.rejects(generateTool(projectPath, '2fast'), /not a valid tool name/);
+    await assert.rejects(generateTool(projectPath, 'calculator'), /already registered/);
+
+    await generateTool(projectPath, 'get-weather');
+    await assert.rejects(generateTool(projectPath, 'get weather'), /tools\/get-weather\.js already exists/);
+  });
+
+  it('needs a project with a tool registry', async () => {
+    await fs.remove(path.join(projectPath, 'tools'));
+
+    await assert.rejects(generateTool(projectPath, 'get-weather'), /No tools\/index\.js found/);
+  });
+});
@@ -0,0 +1,20 @@
+const { afterEach, beforeEach } = require('node:test');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// Gives each test in the enclosing describe block a new temporary directory, passed to
+// `onCreate`, and removes it afterwards. Called inside describe, as node:test in Node 16
+// has no file-level hooks.
+function useTempDir(onCreate) {
+  let dir;
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'create-alith-app-test-'));
+    onCreate(dir);
+  });
+  afterEach(() => fs.remove(dir));
+}
+
+module.exports = {
+  useTempDir
+};
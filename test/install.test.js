@@ -0,0 +1,143 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { NPM_STRATEGIES, runInstall, getUncachedPackage, prepareStrategy, classifyInstallError } = require('../lib/install');
+const { useTempDir } = require('./helpers');
+
+let projectPath;
+
+// Runs a script in place of the package manager, printing `output` to stderr
+const runScript = (script, signal) => runInstall(process.execPath, ['-e', script], projectPath, signal);
+const failWith = output => runScript(`process.stderr.write(${JSON.stringify(output)}); process.exit(1)`);
+
+describe('classifyInstallError', () => {
+  it('groups npm error codes by what can be done about them', () => {
+    assert.equal(classifyInstallError('ECONNRESET'), 'network');
+    assert.equal(classifyInstallError('ERESOLVE'), 'peer');
+    assert.equal(classifyInstallError('EBUSY'), 'lock');
+    assert.equal(classifyInstallError('EINTEGRITY'), 'cache');
+  });
+
+  it('has no kind for unknown codes', () => {
+    assert.equal(classifyInstallError('E404'), null);
+    assert.equal(classifyInstallError(null), null);
+  });
+
+  it('has a retry strategy for every kind', () => {
+    for (const kind of ['network', 'peer', 'lock', 'cache']) {
+      assert.ok(NPM_STRATEGIES[kind].description, kind);
+    }
+  });
+});
+
+describe('runInstall', () => {
+  useTempDir(created => { projectPath = created; });
+
+  it('resolves to ok when the command succeeds', async () => {
+    assert.deepEqual(await runScript('process.exit(0)'), { ok: true });
+  });
+
+  it('reads the error code and debug log from the output of npm 9 and earlier', async () => {
+    const result = await failWith('npm ERR! code ERESOLVE\nnpm ERR! A complete log of this run can be found in:\nnpm ERR!     /tmp/npm-debug.log\n');
+
+    assert.equal(result.ok, false);
+    assert.equal(result.code, 'ERESOLVE');
+    assert.equal(result.kind, 'peer');
+    assert.equal(result.logPath, '/tmp/npm-debug.log');
+  });
+
+  it('reads the error code from the output of npm 10 and later', async () => {
+    const result = await failWith('npm error code ECONNRESET\nnpm error network aborted\n');
+
+    assert.equal(result.code, 'ECONNRESET');
+    assert.equal(result.kind, 'network');
+    assert.equal(result.logPath, null);
+  });
+
+  it('falls back to any error code in the output, e.g. from pnpm or yarn', async () => {
+    const result = await failWith('Error: EPERM: operation not permitted, rename node_modules/.tmp\n');
+
+    assert.equal(result.code, 'EPERM');
+    assert.equal(result.kind, 'lock');
+  });
+
+  it('reports an interrupted install when the signal is aborted', async () => {
+    const controller = new AbortController();
+    const running = runScript('setTimeout(() => {}, 60000)', controller.signal);
+    setTimeout(() => controller.abort(), 100);
+
+    assert.deepEqual(await running, { ok: false, interrupted: true });
+  });
+
+  it('reports a command that could not be started', async () => {
+    const result = await runInstall('create-alith-app-missing-command', [], projectPath);
+
+    assert.equal(result.ok, false);
+    assert.equal(result.code, 'ENOENT');
+  });
+});
+
+describe('getUncachedPackage', () => {
+  it('finds the package npm failed to fetch', () => {
+    assert.equal(getUncachedPackage('request to https://registry.npmjs.org/express failed, reason: cache mode is \'only-if-cached\''), 'express');
+    assert.equal(getUncachedPackage('request to https://registry.npmjs.org/@types%2fnode failed'), '@types/node');
+    assert.equal(getUncachedPackage('request to https://registry.npmjs.org/vite/-/vite-5.0.0.tgz failed'), 'vite');
+  });
+
+  it('returns null for other failures', () => {
+    assert.equal(getUncachedPackage('npm ERR! code ERESOLVE'), null);
+  });
+});
+
+describe('prepareStrategy', () => {
+  useTempDir(created => { projectPath = created; });
+
+  it('passes the strategy\'s flags', async () => {
+    const { args, temporary, changed } = await prepareStrategy(NPM_STRATEGIES.network, projectPath);
+
+    assert.deepEqual(args, NPM_STRATEGIES.network.args);
+    assert.deepEqual(temporary, []);
+    assert.deepEqual(changed, []);
+  });
+
+  it('saves legacy peer resolution to the project\'s .npmrc once', async () => {
+    await fs.writeFile(path.join(projectPath, '.npmrc'), 'save-exact=true');
+
+    const first = await prepareStrategy(NPM_STRATEGIES.peer, projectPath);
+    const second = await prepareStrategy(NPM_STRATEGIES.peer, projectPath);
+
+    assert.equal(await fs.readFile(path.join(projectPath, '.npmrc'), 'utf8'), 'save-exact=true\nlegacy-peer-deps=true\n');
+    // The original content, to restore it with
+    assert.deepEqual(first.changed, [{ path: path.join(projectPath, '.npmrc'), content: 'save-exact=true' }]);
+    assert.deepEqual(second.changed, []);
+  });
+
+  it('reports a .npmrc it created as having no original content', async () => {
+    const { changed } = await prepareStrategy(NPM_STRATEGIES.peer, projectPath);
+
+    assert.deepEqual(changed, [{ path: path.join(projectPath, '.npmrc'), content: null }]);
+  });
+
+  it('removes the partial node_modules', async () => {
+    await fs.outputFile(path.join(projectPath, 'node_modules', 'left-over', 'index.js'), '');
+
+    await prepareStrategy(NPM_STRATEGIES.lock, projectPath);
+
+    assert.equal(fs.existsSync(path.join(projectPath, 'node_modules')), false);
+  });
+
+  it('uses a new temporary cache and returns it for removal', async () => {
+    const { args, temporary } = await prepareStrategy(NPM_STRATEGIES.cache, projectPath);
+
+    try {
+      assert.equal(temporary.length, 1);
+      assert.deepEqual(args, ['--cache', temporary[0]]);
+      assert.ok(temporary[0].startsWith(os.tmpdir()));
+      assert.deepEqual(await fs.readdir(temporary[0]), []);
+    } finally {
+      await Promise.all(temporary.map(dir => fs.remove(dir)));
+    }
+  });
+});
@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const path = require('path');
+const { createRollback } = require('../lib/rollback');
+const { useTempDir } = require('./helpers');
+
+let dir;
+
+describe('createRollback', () => {
+  useTempDir(created => { dir = created; });
+
+  it('removes tracked paths and restores backed up files', async () => {
+    const rollback = createRollback();
+    const created = path.join(dir, 'created.txt');
+    const changed = path.join(dir, 'changed.txt');
+    await fs.writeFile(changed, 'original');
+
+    await fs.writeFile(created, 'new');
+    rollback.track(created);
+    rollback.backup(changed, await fs.readFile(changed));
+    await fs.writeFile(changed, 'modified');
+    await rollback.run();
+
+    assert.equal(fs.existsSync(created), false);
+    assert.equal(await fs.readFile(changed, 'utf8'), 'original');
+  });
+
+  it('removes only the outermost directory ensureDir created', async () => {
+    const rollback = createRollback();
+    const existing = path.join(dir, 'existing');
+    await fs.outputFile(path.join(existing, 'keep.txt'), '');
+
+    await rollback.ensureDir(path.join(existing, 'a', 'b'));
+    assert.ok(fs.existsSync(path.join(existing, 'a', 'b')));
+    await rollback.run();
+
+    assert.equal(fs.existsSync(path.join(existing, 'a')), false);
+    assert.ok(fs.existsSync(path.join(existing, 'keep.txt')));
+  });
+
+  it('keeps everything once committed', async () => {
+    const rollback = createRollback();
+    const created = path.join(dir, 'created.txt');
+    await fs.writeFile(created, '');
+    rollback.track(created);
+
+    rollback.commit();
+    await rollback.run();
+
+    assert.ok(fs.existsSync(created));
+  });
+
+  it('aborts its signal and waits for running work before removing anything', async () => {
+    const rollback = createRollback();
+    const target = path.join(dir, 'node_modules');
+    rollback.track(target);
+
+    // Stands in for an install that still writes to the project after being told to stop
+    const install = new Promise((resolve, reject) => {
+      rollback.signal.addEventListener('abort', () => setTimeout(() => {
+        fs.outputFileSync(path.join(target, 'late.js'), '');
+        reject(new Error('Install interrupted'));
+      }, 50));
+    });
+    rollback.wait(install).catch(() => {});
+    await rollback.run();
+
+    assert.ok(rollback.signal.aborted);
+    assert.equal(fs.existsSync(target), false);
+  });
+});
@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderContent, renderTemplateFile, listTemplateFiles, getTemplateNames } = require('../lib/templates');
+
+describe('renderContent', () => {
+  it('replaces the placeholders that have a variable', () => {
+    assert.equal(renderContent('{{name}} uses {{model}}', { name: 'app', model: 'llama' }), 'app uses llama');
+  });
+
+  it('leaves unknown placeholders and other braces untouched', () => {
+    assert.equal(renderContent('{{name}} {{other}} {a} {{ spaced }}', { name: 'app' }), 'app {{other}} {a} {{ spaced }}');
+  });
+
+  it('inserts values literally, including replacement patterns', () => {
+    assert.equal(renderContent('key={{key}}', { key: 'a$&b$1' }), 'key=a$&b$1');
+    assert.equal(renderContent('{{flag}} {{count}}', { flag: false, count: 0 }), 'false 0');
+  });
+});
+
+describe('renderTemplateFile', () => {
+  it('reads a file from templates/ with its placeholders filled in', async () => {
+    const content = await renderTemplateFile('_generate/tool.js', { exportName: 'getWeather', toolName: 'get_weather' });
+
+    assert.match(content, /export const getWeather/);
+    assert.doesNotMatch(content, /\{\{(exportName|toolName)\}\}/);
+  });
+});
+
+describe('listTemplateFiles', () => {
+  it('lists the files of every template, with renamed files under their final name', async () => {
+    for (const name of getTemplateNames()) {
+      const files = await listTemplateFiles(name);
+      assert.ok(files.includes('package.json'), `${name} has a package.json`);
+      assert.ok(files.includes('.gitignore') && !files.includes('_gitignore'), `${name} lists .gitignore under its final name`);
+    }
+  });
+});